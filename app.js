@@ -9,7 +9,9 @@ class RoutePlotter {
         this.isAnimating = false;
         this.isPaused = false;
         this.animationProgress = 0;
-        this.currentDistance = 0;  // Current distance traveled in pixels
+        this.playbackTime = 0;  // Playback clock in ms; every frame is derived from it
+        this.frameStep = 1000 / 30;  // The clock advances in fixed 30fps steps (ms)
+        this.frameAccumulator = 0;  // Real time not yet used up by a whole step
         this.baseSpeed = 1;  // 1 = 5 seconds to cross full width
         this.speedMultipliers = [0.25, 0.5, 1, 2, 4];
         this.currentSpeedIndex = 2;  // Default to 1x
@@ -18,15 +20,16 @@ class RoutePlotter {
         this.lastAnimationTime = 0;
         this.pauseAtWaypoints = false;
         this.pauseDuration = 2;  // seconds
-        this.currentPauseTime = 0;
-        this.isPausingAtWaypoint = false;
         this.firstWaypointName = '';
         this.pendingWaypointIndex = null;
         this.showNamesAlways = true;  // Show waypoint names from start
         this.showBeacons = false;  // Show beacon animations
         this.beacons = [];  // Active beacon animations
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;  // Legs fade in whole and beacons hold still
         this.visitedWaypoints = new Set();  // Track which waypoints have been visited
         this.useSmoothing = false;  // Use Catmull-Rom path smoothing
+        this.routePath = null;  // Cached smooth path and distance table (see getRoutePath)
+        this.pointsPerSegment = 20;  // Smooth path points between two clicked points
         this.imageName = null;  // Store image filename
         this.imageData = null;  // Store base64 image data
         this.db = null;  // IndexedDB database
@@ -135,19 +138,25 @@ class RoutePlotter {
         
         // Speed slider
         document.getElementById('speedSlider').addEventListener('input', (e) => {
+            const previous = this.buildTimeline();
             this.currentSpeedIndex = parseInt(e.target.value);
+            this.playbackTime = this.retime(previous, this.playbackTime);
             this.updateSpeedDisplay();
         });
         
         // Pause duration
         document.getElementById('pauseDuration').addEventListener('change', (e) => {
+            const previous = this.buildTimeline();
             this.pauseDuration = parseInt(e.target.value);
+            this.playbackTime = this.retime(previous, this.playbackTime);
         });
         
         // Display options
         document.getElementById('toggleNamesVisibility').addEventListener('click', () => this.toggleNamesVisibility());
         document.getElementById('toggleBeacons').addEventListener('click', () => this.toggleBeacons());
         document.getElementById('toggleSmoothing').addEventListener('click', () => this.toggleSmoothing());
+        document.getElementById('toggleReducedMotion').addEventListener('click', () => this.toggleReducedMotion());
+        this.updateToggleButtons();  // Reduced motion starts from the system setting
         
         // Design controls
         document.getElementById('newWaypointBtn').addEventListener('click', () => this.createNewWaypoint());
@@ -245,6 +254,7 @@ class RoutePlotter {
 
         // Add as path point, not waypoint
         this.pathPoints.push({ x, y });
+        this.routePath = null;
         
         // If this is the first point, automatically make it a waypoint
         if (this.pathPoints.length === 1) {
@@ -326,6 +336,7 @@ class RoutePlotter {
 
     toggleSmoothing() {
         this.useSmoothing = !this.useSmoothing;
+        this.routePath = null;
         const btn = document.getElementById('toggleSmoothing');
         if (this.useSmoothing) {
             btn.classList.add('active');
@@ -337,29 +348,33 @@ class RoutePlotter {
         // Smoothing only affects playback, not static route display
     }
 
-    addBeacon(x, y) {
-        if (!this.showBeacons) return;
-        
-        // Add new beacon animation
-        this.beacons.push({
-            x: x,
-            y: y,
-            radius: 0,
-            opacity: 1,
-            startTime: performance.now()
-        });
+    toggleReducedMotion() {
+        this.reducedMotion = !this.reducedMotion;
+        const btn = document.getElementById('toggleReducedMotion');
+        if (this.reducedMotion) {
+            btn.classList.add('active');
+            document.getElementById('reducedMotionText').textContent = 'Motion: Reduced';
+        } else {
+            btn.classList.remove('active');
+            document.getElementById('reducedMotionText').textContent = 'Motion: Full';
+        }
     }
 
-    updateBeacons(currentTime) {
+    // Beacons at playback `time`: one ripple from each waypoint reached, timed
+    // from the moment it was reached
+    updateBeacons(time, arrivals) {
         if (!this.showBeacons) return;
         
-        // Update existing beacons
-        this.beacons = this.beacons.filter(beacon => {
-            const elapsed = (currentTime - beacon.startTime) / 1000;  // Convert to seconds
-            beacon.radius = elapsed * 100;  // Expand at 100 pixels per second (doubled)
-            beacon.opacity = Math.max(0, 1 - elapsed / 4);  // Fade out over 4 seconds (doubled duration)
-            return beacon.opacity > 0;
-        });
+        this.beacons = arrivals.map(arrival => {
+            const point = this.pathPoints[arrival.waypoint.index];
+            const elapsed = (time - arrival.start) / 1000;  // Convert to seconds
+            return {
+                x: point.x,
+                y: point.y,
+                radius: this.reducedMotion ? 30 : elapsed * 100,  // Expand at 100 pixels per second (doubled); a steady ring for reduced motion
+                opacity: Math.max(0, 1 - elapsed / 4)  // Fade out over 4 seconds (doubled duration)
+            };
+        }).filter(beacon => beacon.opacity > 0);
     }
 
     drawBeacons() {
@@ -371,8 +386,9 @@ class RoutePlotter {
             this.ctx.strokeStyle = this.lineColor;
             this.ctx.lineWidth = 6;  // Much bolder (was 2)
             
-            // Draw multiple concentric circles (doubled spacing)
-            for (let i = 0; i < 3; i++) {
+            // Draw multiple concentric circles (doubled spacing); just one for reduced motion
+            const rings = this.reducedMotion ? 1 : 3;
+            for (let i = 0; i < rings; i++) {
                 const r = beacon.radius - i * 30;  // Doubled spacing (was 15)
                 if (r > 0) {
                     this.ctx.beginPath();
@@ -422,7 +438,7 @@ class RoutePlotter {
         if (this.pathPoints.length < 2) return this.pathPoints;
 
         const smoothPath = [];
-        const pointsPerSegment = 20;  // Interpolate between points
+        const pointsPerSegment = this.pointsPerSegment;  // Interpolate between points
 
         if (this.useSmoothing) {
             // Catmull-Rom spline with 50% smoothing strength
@@ -461,6 +477,16 @@ class RoutePlotter {
         return smoothPath;
     }
 
+    // Smooth path and its cumulative distance table, built once and reused by
+    // every frame until the points or smoothing change
+    getRoutePath() {
+        if (!this.routePath) {
+            const path = this.createSmoothPath();
+            this.routePath = { path, distances: this.buildDistanceMap(path) };
+        }
+        return this.routePath;
+    }
+
     calculatePathLength(path) {
         let totalLength = 0;
         for (let i = 0; i < path.length - 1; i++) {
@@ -487,76 +513,68 @@ class RoutePlotter {
         return distances;
     }
 
-    // Find position on path at given distance with easing between waypoints
+    // Find position on path at given distance; `segment` is the index of the
+    // path point the position is past
     getPositionAtDistance(path, distances, targetDistance) {
         const totalDistance = distances[distances.length - 1];
         
-        if (targetDistance <= 0) return { ...path[0], progress: 0 };
-        if (targetDistance >= totalDistance) return { ...path[path.length - 1], progress: 1 };
+        if (targetDistance <= 0) return { ...path[0], progress: 0, segment: 0 };
+        if (targetDistance >= totalDistance) return { ...path[path.length - 1], progress: 1, segment: path.length - 1 };
         
-        // Find segment containing target distance
-        for (let i = 0; i < distances.length - 1; i++) {
-            if (targetDistance >= distances[i] && targetDistance <= distances[i + 1]) {
-                const segmentStart = distances[i];
-                const segmentEnd = distances[i + 1];
-                const segmentLength = segmentEnd - segmentStart;
-                const distanceInSegment = targetDistance - segmentStart;
-                const t = distanceInSegment / segmentLength;
-                
-                // Apply easing if within waypoint segments
-                const easedT = this.applyWaypointEasing(i, t, path.length);
-                
-                // Interpolate position
-                const x = path[i].x + (path[i + 1].x - path[i].x) * easedT;
-                const y = path[i].y + (path[i + 1].y - path[i].y) * easedT;
-                
-                return { x, y, progress: targetDistance / totalDistance };
+        // Binary search for the segment containing target distance
+        let low = 0;
+        let high = distances.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (distances[mid] <= targetDistance) {
+                low = mid;
+            } else {
+                high = mid - 1;
             }
         }
         
-        return { ...path[path.length - 1], progress: 1 };
-    }
-
-    // Apply smooth easing between waypoints
-    applyWaypointEasing(segmentIndex, t, pathLength) {
-        if (this.waypoints.length === 0) return t;
+        const i = low;
+        const segmentStart = distances[i];
+        const segmentEnd = distances[i + 1];
+        const segmentLength = segmentEnd - segmentStart;
+        const distanceInSegment = targetDistance - segmentStart;
+        const t = segmentLength > 0 ? distanceInSegment / segmentLength : 0;
         
-        const pointsPerSegment = 20;
-        const currentPointIndex = Math.floor(segmentIndex / pointsPerSegment);
+        // Interpolate position
+        const x = path[i].x + (path[i + 1].x - path[i].x) * t;
+        const y = path[i].y + (path[i + 1].y - path[i].y) * t;
         
-        // Find the waypoint segment we're in (between two waypoints)
-        let prevWaypointIndex = -1;
-        let nextWaypointIndex = this.pathPoints.length;
+        return { x, y, progress: targetDistance / totalDistance, segment: i };
+    }
+
+    // Ease in and out of each leg between two waypoints: speed builds up over
+    // the first 30% of the leg's time and drops over the last 30%. Maps the
+    // distance travelled at constant speed to the distance shown, so the head
+    // never jumps or runs backwards and each leg still takes as long.
+    easeLegDistance(distance) {
+        const { distances } = this.getRoutePath();
+        const legEnds = this.waypoints
+            .map(wp => distances[Math.min(wp.index * this.pointsPerSegment, distances.length - 1)])
+            .sort((a, b) => a - b);
         
-        for (const wp of this.waypoints) {
-            if (wp.index <= currentPointIndex) {
-                prevWaypointIndex = wp.index;
-            }
-            if (wp.index > currentPointIndex && nextWaypointIndex === this.pathPoints.length) {
-                nextWaypointIndex = wp.index;
-            }
-        }
+        // Only ease between two waypoints
+        const next = legEnds.findIndex(end => end > distance);
+        if (next <= 0) return distance;
         
-        // Only apply easing if we're between two waypoints
-        if (prevWaypointIndex >= 0 && nextWaypointIndex < this.pathPoints.length) {
-            const segmentLength = nextWaypointIndex - prevWaypointIndex;
-            const positionInSegment = (currentPointIndex - prevWaypointIndex) / segmentLength;
-            
-            // Ease in (first 30% of journey between waypoints)
-            if (positionInSegment < 0.3) {
-                const easeT = positionInSegment / 0.3;
-                const eased = easeT * easeT;  // Quadratic ease in
-                return t * eased;
-            }
-            // Ease out (last 30% of journey between waypoints)
-            else if (positionInSegment > 0.7) {
-                const easeT = (positionInSegment - 0.7) / 0.3;
-                const eased = 1 - (1 - easeT) * (1 - easeT);  // Quadratic ease out
-                return t * eased;
-            }
+        const start = legEnds[next - 1];
+        const length = legEnds[next] - start;
+        const t = (distance - start) / length;
+        const ramp = 0.3;
+        const speed = 1 / (1 - ramp);  // Peak speed, so the whole leg is still covered
+        let eased;
+        if (t < ramp) {
+            eased = speed * t * t / (2 * ramp);
+        } else if (t > 1 - ramp) {
+            eased = 1 - speed * (1 - t) * (1 - t) / (2 * ramp);
+        } else {
+            eased = speed * (t - ramp / 2);
         }
-        
-        return t;  // Constant speed in middle section
+        return start + length * eased;
     }
 
     catmullRom(p0, p1, p2, p3, t, tension) {
@@ -623,13 +641,16 @@ class RoutePlotter {
             this.isAnimating = true;
             this.isPaused = false;
             this.lastAnimationTime = performance.now();
+            this.frameAccumulator = 0;
             this.updatePlayPauseButton();
             this.animate();
         }
     }
 
     togglePauseMode() {
+        const previous = this.buildTimeline();
         this.pauseAtWaypoints = !this.pauseAtWaypoints;
+        this.playbackTime = this.retime(previous, this.playbackTime);
         const btn = document.getElementById('togglePauseMode');
         if (this.pauseAtWaypoints) {
             btn.classList.add('active');
@@ -661,9 +682,7 @@ class RoutePlotter {
         this.isAnimating = false;
         this.isPaused = true;  // Set to paused state
         this.animationProgress = 0;
-        this.currentDistance = 0;
-        this.currentPauseTime = 0;
-        this.isPausingAtWaypoint = false;
+        this.playbackTime = 0;
         this.visitedWaypoints.clear();
         this.beacons = [];
         
@@ -682,91 +701,130 @@ class RoutePlotter {
     animate(currentTime = performance.now()) {
         if (!this.isAnimating || this.isPaused) return;
 
-        const deltaTime = (currentTime - this.lastAnimationTime) / 1000;
+        // Advance the playback clock in whole fixed steps and carry the remainder,
+        // so it keeps to real time while frames depend on the clock alone
+        this.frameAccumulator += currentTime - this.lastAnimationTime;
         this.lastAnimationTime = currentTime;
+        const steps = Math.floor(this.frameAccumulator / this.frameStep);
+        this.frameAccumulator -= steps * this.frameStep;
+        this.playbackTime += steps * this.frameStep;
 
-        // Update beacon animations
-        this.updateBeacons(currentTime);
-
-        const smoothPath = this.createSmoothPath();
-        const distances = this.buildDistanceMap(smoothPath);
-        const totalDistance = distances[distances.length - 1];
-
-        // Handle pause at waypoint
-        if (this.isPausingAtWaypoint) {
-            this.currentPauseTime += deltaTime;
-            if (this.currentPauseTime >= this.pauseDuration) {
-                this.isPausingAtWaypoint = false;
-                this.currentPauseTime = 0;
-            }
-            // Draw at current position during pause
-            const position = this.getPositionAtDistance(smoothPath, distances, this.currentDistance);
-            this.animationProgress = position.progress;
-            this.drawAnimatedRoute(smoothPath, this.animationProgress);
-            requestAnimationFrame((time) => this.animate(time));
-            return;
-        }
-
-        // Calculate constant speed movement
-        const basePixelsPerSecond = 200;  // Base speed: 200 pixels per second at 1x
-        const speedMultiplier = this.speedMultipliers[this.currentSpeedIndex];
-        const pixelsPerSecond = basePixelsPerSecond * speedMultiplier;
-        
-        // Move forward by distance
-        const pixelsCovered = pixelsPerSecond * deltaTime;
-        this.currentDistance += pixelsCovered;
+        const frame = this.drawFrameAt(this.playbackTime);
 
         // Check if animation is complete
-        if (this.currentDistance >= totalDistance) {
-            this.currentDistance = totalDistance;
-            this.animationProgress = 1;
+        if (frame.done) {
             this.isAnimating = false;
             this.isPaused = false;
             this.updatePlayPauseButton();
             this.updateButtonStates();
         }
 
-        // Get current position based on distance traveled
-        const position = this.getPositionAtDistance(smoothPath, distances, this.currentDistance);
-        this.animationProgress = position.progress;
+        if (this.isAnimating) {
+            requestAnimationFrame((time) => this.animate(time));
+        }
+    }
 
-        // Check if we're at a waypoint
-        if (this.waypoints.length > 0) {
-            const currentPointIndex = Math.floor(this.animationProgress * (this.pathPoints.length - 1));
-            const currentWaypoint = this.waypoints.find(wp => wp.index === currentPointIndex);
-            
-            if (currentWaypoint && !this.visitedWaypoints.has(currentWaypoint.index)) {
-                this.visitedWaypoints.add(currentWaypoint.index);
-                
-                // Add beacon animation
-                const point = this.pathPoints[currentWaypoint.index];
-                if (point) {
-                    this.addBeacon(point.x, point.y);
-                }
-                
-                // Pause if needed
-                if (this.pauseAtWaypoints && !this.isPausingAtWaypoint) {
-                    this.isPausingAtWaypoint = true;
-                    this.currentPauseTime = 0;
-                }
+    // Playback timeline at the current speed: a move along each leg and, on
+    // arrival at each waypoint, a hold (zero long unless pausing at waypoints).
+    // Times are in ms.
+    buildTimeline() {
+        const { distances } = this.getRoutePath();
+        const basePixelsPerSecond = 200;  // Base speed: 200 pixels per second at 1x
+        const pixelsPerMs = basePixelsPerSecond * this.speedMultipliers[this.currentSpeedIndex] / 1000;
+        const holdDuration = this.pauseAtWaypoints ? this.pauseDuration * 1000 : 0;
+        const stops = this.waypoints
+            .map(waypoint => ({
+                waypoint,
+                distance: distances[Math.min(waypoint.index * this.pointsPerSegment, distances.length - 1)]
+            }))
+            .sort((a, b) => a.distance - b.distance);
+        
+        const steps = [];
+        let time = 0;
+        let distance = 0;
+        const moveTo = (to) => {
+            const duration = (to - distance) / pixelsPerMs;
+            steps.push({ type: 'move', start: time, end: time + duration, from: distance, to });
+            time += duration;
+            distance = to;
+        };
+        
+        stops.forEach(stop => {
+            moveTo(stop.distance);
+            steps.push({ type: 'arrive', start: time, end: time + holdDuration, waypoint: stop.waypoint, distance });
+            time += holdDuration;
+        });
+        moveTo(distances[distances.length - 1]);
+        
+        return { steps, duration: time };
+    }
+
+    // The frame at playback `time`: distance along the path, the leg being
+    // travelled, the waypoint arrivals so far and whether playback has finished
+    frameAt(time) {
+        const { steps, duration } = this.buildTimeline();
+        const arrivals = [];
+        let distance = 0;
+        let leg = null;
+        
+        steps.forEach(step => {
+            if (step.start > time) return;
+            if (step.type === 'arrive') {
+                arrivals.push(step);
+                distance = step.distance;
+                leg = null;
+            } else {
+                const t = step.end > step.start ? Math.min(1, (time - step.start) / (step.end - step.start)) : 1;
+                distance = step.from + (step.to - step.from) * t;
+                leg = t < 1 ? { from: step.from, to: step.to, fraction: t } : null;
             }
-        }
+        });
+        
+        return { distance: this.easeLegDistance(distance), leg, arrivals, done: time >= duration };
+    }
 
-        this.drawAnimatedRoute(smoothPath, this.animationProgress);
+    // Time in the current timeline at the same place `time` was in `previous`,
+    // so changing speed or pauses during playback doesn't make the head jump
+    retime(previous, time) {
+        const { steps } = this.buildTimeline();
+        const index = previous.steps.reduce((found, step, i) => (step.start <= time ? i : found), 0);
+        const before = previous.steps[index];
+        const after = steps[index];
+        if (!before || !after) return time;
+        
+        const fraction = before.end > before.start ? Math.min(1, (time - before.start) / (before.end - before.start)) : 1;
+        return after.start + (after.end - after.start) * fraction;
+    }
 
-        if (this.isAnimating) {
-            requestAnimationFrame((time) => this.animate(time));
-        }
+    // Draw the frame at playback `time`; the same time always draws the same frame
+    drawFrameAt(time) {
+        const { path, distances } = this.getRoutePath();
+        const frame = this.frameAt(time);
+        
+        this.visitedWaypoints = new Set(frame.arrivals.map(arrival => arrival.waypoint.index));
+        this.updateBeacons(time, frame.arrivals);
+        
+        // Reduced motion reveals a leg at a time: the route stops at the last
+        // waypoint and the leg being travelled fades in as a whole
+        const fade = this.reducedMotion && frame.leg ? { to: frame.leg.to, alpha: frame.leg.fraction } : null;
+        const position = this.getPositionAtDistance(path, distances, fade ? frame.leg.from : frame.distance);
+        this.animationProgress = position.progress;
+        this.drawAnimatedRoute(path, distances, this.animationProgress, fade);
+        return frame;
     }
 
-    drawAnimatedRoute(smoothPath, progress) {
+    // `fade` ({to, alpha}) also draws the path on to distance `to` at `alpha`,
+    // without a head
+    drawAnimatedRoute(smoothPath, distances, progress, fade = null) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.drawImage(this.image, 0, 0);
 
-        const totalPoints = smoothPath.length;
-        const currentPoint = Math.floor(progress * totalPoints);
+        // Reveal by distance travelled, not by point count, so uneven sampling doesn't change speed
+        const targetDistance = progress * distances[distances.length - 1];
+        const position = this.getPositionAtDistance(smoothPath, distances, targetDistance);
+        const currentPoint = position.segment;
 
-        if (currentPoint > 0) {
+        if (targetDistance > 0 || fade) {
             this.ctx.strokeStyle = this.lineColor;
             this.ctx.lineWidth = this.lineThickness;
             this.ctx.lineCap = 'round';
@@ -775,15 +833,30 @@ class RoutePlotter {
             this.ctx.beginPath();
             this.ctx.moveTo(smoothPath[0].x, smoothPath[0].y);
 
-            for (let i = 1; i <= currentPoint && i < smoothPath.length; i++) {
+            for (let i = 1; i <= currentPoint; i++) {
                 this.ctx.lineTo(smoothPath[i].x, smoothPath[i].y);
             }
+            this.ctx.lineTo(position.x, position.y);
 
             this.ctx.stroke();
 
+            if (fade) {
+                const end = this.getPositionAtDistance(smoothPath, distances, fade.to);
+                this.ctx.save();
+                this.ctx.globalAlpha = fade.alpha;
+                this.ctx.beginPath();
+                this.ctx.moveTo(position.x, position.y);
+                for (let i = currentPoint + 1; i <= end.segment; i++) {
+                    this.ctx.lineTo(smoothPath[i].x, smoothPath[i].y);
+                }
+                this.ctx.lineTo(end.x, end.y);
+                this.ctx.stroke();
+                this.ctx.restore();
+            }
+
             // Draw animated point
-            if (currentPoint < smoothPath.length) {
-                const point = smoothPath[currentPoint];
+            if (progress < 1 && !fade) {
+                const point = position;
                 this.ctx.fillStyle = 'white';
                 this.ctx.beginPath();
                 this.ctx.arc(point.x, point.y, this.lineThickness * 2, 0, Math.PI * 2);
@@ -812,6 +885,7 @@ class RoutePlotter {
             
             // Remove the path point
             this.pathPoints.pop();
+            this.routePath = null;
             
             this.redraw();
             this.updateWaypointList();
@@ -823,6 +897,7 @@ class RoutePlotter {
         if (confirm('Are you sure you want to clear everything?')) {
             this.pathPoints = [];
             this.waypoints = [];
+            this.routePath = null;
             this.visitedWaypoints.clear();
             this.beacons = [];
             this.resetAnimation();
@@ -1009,6 +1084,7 @@ class RoutePlotter {
             // Load all data
             this.pathPoints = data.pathPoints || [];
             this.waypoints = data.waypoints || [];
+            this.routePath = null;
             
             // Load settings
             if (data.settings) {
@@ -1121,6 +1197,16 @@ class RoutePlotter {
             smoothingBtn.classList.remove('active');
             document.getElementById('smoothingText').textContent = 'Smoothing: Off';
         }
+        
+        // Update reduced motion button
+        const motionBtn = document.getElementById('toggleReducedMotion');
+        if (this.reducedMotion) {
+            motionBtn.classList.add('active');
+            document.getElementById('reducedMotionText').textContent = 'Motion: Reduced';
+        } else {
+            motionBtn.classList.remove('active');
+            document.getElementById('reducedMotionText').textContent = 'Motion: Full';
+        }
     }
 
     exportToJSON() {
@@ -1158,6 +1244,7 @@ class RoutePlotter {
                 // Load path points and waypoints
                 this.pathPoints = data.pathPoints || [];
                 this.waypoints = data.waypoints || [];
+                this.routePath = null;
                 
                 // Load settings first
                 if (data.settings) {
@@ -1231,22 +1318,11 @@ class RoutePlotter {
                 alert('Video export complete!');
             };
 
-            // Calculate actual animation duration based on path length
-            const smoothPath = this.createSmoothPath();
-            const pathLength = this.calculatePathLength(smoothPath);
-            const basePixelsPerSecond = 200;
-            const speedMultiplier = this.speedMultipliers[this.currentSpeedIndex];
-            const pixelsPerSecond = basePixelsPerSecond * speedMultiplier;
-            const animationDuration = pathLength / pixelsPerSecond;
-            
-            // Add pauses at waypoints if enabled
-            let totalPauses = 0;
-            if (this.pauseAtWaypoints && this.waypoints.length > 0) {
-                totalPauses = this.waypoints.length * this.pauseDuration;
-            }
+            // Animation duration from the playback timeline, pauses included
+            const animationDuration = this.buildTimeline().duration / 1000;
             
-            // Total duration: 1s start + animation + pauses + 3s end
-            const totalDuration = (1 + animationDuration + totalPauses + 3) * 1000;
+            // Total duration: 1s start + animation + 3s end
+            const totalDuration = (1 + animationDuration + 3) * 1000;
             
             alert(`Recording video... Duration: ${(totalDuration/1000).toFixed(1)}s`);
 
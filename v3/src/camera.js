@@ -0,0 +1,132 @@
+// Camera for Route Plotter v3: an optional pan/zoom viewport over the drawing.
+// Like everything else in a frame it is derived from the playback time alone,
+// so preview, scrubbing and export frame the route identically.
+//
+// Camera modes:
+//   'off'       - the base view: the drawing fitted to the canvas (see fitView)
+//   'follow'    - centered on the route head(s) at `zoom`
+//   'keyframes' - flies between keyframes on major waypoints, each framing its
+//                 waypoint at the waypoint's `cameraZoom`
+// In follow mode keyframes only set the zoom. Either way the camera keeps the
+// heads at least `margin` screen pixels inside the viewport and the viewport
+// within `bounds`. With `stepped` (reduced motion) it cuts between keyframes
+// instead of flying.
+
+import { getEasing } from './easing.js';
+
+export const MAX_CAMERA_ZOOM = 4;
+
+// Moves between keyframes start and stop gently
+const ease = getEasing('ease-in-out-sine');
+
+// Keyframes ({time, x, y, zoom}, by project time) for the major waypoints with
+// a `cameraZoom`, at the time the first head reaches each
+export function cameraKeyframes(routes, schedule) {
+  const times = new Map();
+  routes.forEach((route, routeIndex) => {
+    route.tracks.forEach(track => {
+      track.waypoints.forEach((waypoint, index) => {
+        if (!waypoint.isMajor || !(waypoint.cameraZoom > 0)) return;
+        
+        const arrival = track.timeline.arrivalTime(index);
+        if (!Number.isFinite(arrival)) return;
+        const time = schedule.starts[routeIndex] + track.start + arrival;
+        times.set(waypoint, Math.min(time, times.get(waypoint) ?? Infinity));
+      });
+    });
+  });
+  
+  return [...times]
+    .map(([waypoint, time]) => ({ time, x: waypoint.x, y: waypoint.y, zoom: waypoint.cameraZoom }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Keyframe camera at `time`: held before the first and after the last keyframe,
+// eased in between (zoom interpolated geometrically so it feels even)
+function keyframeAt(time, keyframes, stepped) {
+  if (keyframes.length === 0) return null;
+  
+  const next = keyframes.findIndex(keyframe => keyframe.time > time);
+  if (next === 0) return keyframes[0];
+  if (next === -1) return keyframes[keyframes.length - 1];
+  
+  const from = keyframes[next - 1];
+  const to = keyframes[next];
+  if (stepped) return from;
+  
+  const t = ease((time - from.time) / (to.time - from.time));
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    zoom: from.zoom * Math.pow(to.zoom / from.zoom, t)
+  };
+}
+
+// View of the whole drawing (`bounds`, {x, y, width, height}) in a canvas of
+// `viewport` size. Fit modes:
+//   'contain' - all of it, letterboxed
+//   'cover'   - fills the canvas, cropping the overflow
+//   'native'  - one drawing pixel per canvas pixel, centered
+export function fitView(fit, viewport, bounds) {
+  const scaleX = viewport.width / bounds.width;
+  const scaleY = viewport.height / bounds.height;
+  return {
+    x: bounds.x + bounds.width / 2,
+    y: bounds.y + bounds.height / 2,
+    zoom: fit === 'native' ? 1 : fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY)
+  };
+}
+
+// Camera ({x, y, zoom}: the point at the viewport center and its scale) at
+// `time`. `heads` are the points the camera must keep in view, `viewport` the
+// canvas size, `bounds` the drawing and `whole` its base view (fitView); camera
+// zooms are relative to that.
+export function cameraAt(time, settings, keyframes, heads, viewport, bounds, whole) {
+  if (settings.mode === 'off' || (heads.length === 0 && keyframes.length === 0)) return whole;
+  
+  const key = keyframeAt(time, keyframes, settings.stepped);
+  const box = heads.length > 0 ? {
+    minX: Math.min(...heads.map(head => head.x)),
+    maxX: Math.max(...heads.map(head => head.x)),
+    minY: Math.min(...heads.map(head => head.y)),
+    maxY: Math.max(...heads.map(head => head.y))
+  } : null;
+  
+  let camera;
+  if (settings.mode === 'keyframes' && key) {
+    camera = { ...key };
+  } else if (box) {
+    camera = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2, zoom: key ? key.zoom : settings.zoom };
+  } else {
+    camera = { ...key };
+  }
+  
+  // Zoom relative to the base view; never out past it, nor past the maximum
+  let zoom = whole.zoom * Math.max(1, Math.min(MAX_CAMERA_ZOOM, camera.zoom));
+  
+  // Safety margin: zoom out until the heads fit with `margin` to spare, then
+  // pan just enough to keep them that far inside the edges
+  const margin = Math.min(settings.margin, viewport.width / 4, viewport.height / 4);
+  if (box) {
+    const spanX = box.maxX - box.minX;
+    const spanY = box.maxY - box.minY;
+    if (spanX > 0) zoom = Math.min(zoom, (viewport.width - margin * 2) / spanX);
+    if (spanY > 0) zoom = Math.min(zoom, (viewport.height - margin * 2) / spanY);
+    zoom = Math.max(zoom, whole.zoom);
+    
+    const halfWidth = viewport.width / 2 / zoom - margin / zoom;
+    const halfHeight = viewport.height / 2 / zoom - margin / zoom;
+    camera.x = Math.max(box.maxX - halfWidth, Math.min(box.minX + halfWidth, camera.x));
+    camera.y = Math.max(box.maxY - halfHeight, Math.min(box.minY + halfHeight, camera.y));
+  }
+  
+  // Keep the viewport within the drawing
+  const halfWidth = viewport.width / 2 / zoom;
+  const halfHeight = viewport.height / 2 / zoom;
+  const clamp = (value, min, max) => (min > max ? (min + max) / 2 : Math.max(min, Math.min(max, value)));
+  return {
+    x: clamp(camera.x, bounds.x + halfWidth, bounds.x + bounds.width - halfWidth),
+    y: clamp(camera.y, bounds.y + halfHeight, bounds.y + bounds.height - halfHeight),
+    zoom
+  };
+}
@@ -0,0 +1,117 @@
+// Path coloring for Route Plotter v3. A route's `coloring.mode` picks how its
+// stroke is colored:
+//   'segments' - each segment in the `segmentColor` of the waypoint it starts from
+//   'gradient' - blends from `coloring.from` at the start to `coloring.to` at the end
+//   'blend'    - waypoint `segmentColor`s are color stops, blended in between
+//   'data'     - each waypoint's numeric `value` through the color ramp
+//                `coloring.ramp`, scaled between the route's smallest and largest
+//                value; waypoints without a value are blended across
+// Branches carry the gradient on from their fork (and into their merge).
+
+export const COLOR_RAMPS = {
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  magma: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'],
+  terrain: ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'],
+  'green-red': ['#2ecc71', '#f1c40f', '#e74c3c'],
+  grayscale: ['#000000', '#ffffff']
+};
+
+// [r, g, b] of a '#rgb' or '#rrggbb' color
+function parseColor(color) {
+  let hex = color.replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function mixColors(a, b, t) {
+  return a.map((channel, index) => channel + (b[index] - channel) * t);
+}
+
+function cssColor(rgb) {
+  return `rgb(${rgb.map(Math.round).join(', ')})`;
+}
+
+// Color (as [r, g, b]) `t` (0–1) of the way along `ramp`
+function rampColor(ramp, t) {
+  const colors = (COLOR_RAMPS[ramp] || COLOR_RAMPS.viridis).map(parseColor);
+  const position = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  return mixColors(colors[index], colors[index + 1], position - index);
+}
+
+// CSS colors sampled evenly along `ramp`, for a legend's gradient
+export function rampStops(ramp, count = 8) {
+  return Array.from({ length: count }, (_, index) => cssColor(rampColor(ramp, index / (count - 1))));
+}
+
+// Smallest and largest value among `waypoints`, or null if none has one
+export function dataRange(waypoints) {
+  const values = waypoints.map(waypoint => waypoint.value).filter(Number.isFinite);
+  if (values.length === 0) return null;
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// distance => CSS color, blending between `stops` ({distance, color}, ascending)
+function blendStops(stops) {
+  return distance => {
+    const next = stops.findIndex(stop => stop.distance > distance);
+    if (next === 0) return cssColor(stops[0].color);
+    if (next === -1) return cssColor(stops[stops.length - 1].color);
+    
+    const from = stops[next - 1];
+    const to = stops[next];
+    return cssColor(mixColors(from.color, to.color, (distance - from.distance) / (to.distance - from.distance)));
+  };
+}
+
+// Color along each of `route`'s tracks as distance => CSS color, keyed by
+// track. Tracks without one (and every track in 'segments' mode) keep their
+// segment colors. `waypoints` are all of the route's waypoints.
+export function trackColorings(route, waypoints) {
+  const colorings = new Map();
+  const { mode, from, to, ramp } = route.coloring;
+  if (mode === 'segments') return colorings;
+  
+  const range = mode === 'data' ? dataRange(waypoints) : null;
+  const fractions = new Map(); // waypoint → how far along the gradient it is
+  
+  // Tracks come parent first, so a branch's fork has its fraction already
+  route.tracks.forEach(track => {
+    const geometry = track.pathGeometry;
+    if (!geometry) return;
+    const distances = track.waypoints.map((waypoint, index) => geometry.waypointDistance(index));
+    
+    let stops;
+    if (mode === 'gradient') {
+      const first = fractions.get(track.waypoints[0]) ?? 0;
+      const last = fractions.get(track.waypoints[track.waypoints.length - 1]) ?? 1;
+      track.waypoints.forEach((waypoint, index) => {
+        if (!fractions.has(waypoint)) {
+          // A track with no length (waypoints on one spot) stays at its start
+          const along = geometry.totalLength > 0 ? distances[index] / geometry.totalLength : 0;
+          fractions.set(waypoint, first + (last - first) * along);
+        }
+      });
+      stops = [
+        { distance: 0, color: mixColors(parseColor(from), parseColor(to), first) },
+        { distance: geometry.totalLength, color: mixColors(parseColor(from), parseColor(to), last) }
+      ];
+    } else if (mode === 'blend') {
+      stops = track.waypoints.map((waypoint, index) => ({ distance: distances[index], color: parseColor(waypoint.segmentColor) }));
+    } else if (range) {
+      const span = range.max - range.min;
+      stops = track.waypoints
+        .map((waypoint, index) => ({ distance: distances[index], value: waypoint.value }))
+        .filter(stop => Number.isFinite(stop.value))
+        .map(stop => ({ distance: stop.distance, color: rampColor(ramp, span > 0 ? (stop.value - range.min) / span : 0.5) }));
+    }
+    
+    if (stops && stops.length > 0) {
+      colorings.set(track, blendStops(stops));
+    }
+  });
+  return colorings;
+}
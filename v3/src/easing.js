@@ -0,0 +1,152 @@
+// Easing library for Route Plotter v3. Easings map leg time (0–1) to leg
+// distance (0–1) and are referred to by name or by a CSS-style
+// 'cubic-bezier(x1, y1, x2, y2)' string, so they can be stored with waypoints.
+
+const c1 = 1.70158; // Standard "back" overshoot
+const c2 = c1 * 1.525;
+const c3 = c1 + 1;
+const c4 = (2 * Math.PI) / 3; // Elastic periods
+const c5 = (2 * Math.PI) / 4.5;
+
+const curves = {
+  linear: x => x,
+  'ease-in-quad': x => x * x,
+  'ease-out-quad': x => 1 - (1 - x) * (1 - x),
+  'ease-in-out-quad': x => (x < 0.5 ? 2 * x * x : 1 - Math.pow(-2 * x + 2, 2) / 2),
+  'ease-in-cubic': x => x * x * x,
+  'ease-out-cubic': x => 1 - Math.pow(1 - x, 3),
+  'ease-in-out-cubic': x => (x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2),
+  'ease-in-sine': x => 1 - Math.cos((x * Math.PI) / 2),
+  'ease-out-sine': x => Math.sin((x * Math.PI) / 2),
+  'ease-in-out-sine': x => -(Math.cos(Math.PI * x) - 1) / 2,
+  'ease-in-expo': x => (x === 0 ? 0 : Math.pow(2, 10 * x - 10)),
+  'ease-out-expo': x => (x === 1 ? 1 : 1 - Math.pow(2, -10 * x)),
+  'ease-in-out-expo': x => {
+    if (x === 0 || x === 1) return x;
+    return x < 0.5 ? Math.pow(2, 20 * x - 10) / 2 : (2 - Math.pow(2, -20 * x + 10)) / 2;
+  },
+  'ease-in-back': x => c3 * x * x * x - c1 * x * x,
+  'ease-out-back': x => 1 + c3 * Math.pow(x - 1, 3) + c1 * Math.pow(x - 1, 2),
+  'ease-in-out-back': x => (x < 0.5
+    ? (Math.pow(2 * x, 2) * ((c2 + 1) * 2 * x - c2)) / 2
+    : (Math.pow(2 * x - 2, 2) * ((c2 + 1) * (x * 2 - 2) + c2) + 2) / 2),
+  'ease-in-elastic': x => {
+    if (x === 0 || x === 1) return x;
+    return -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 10.75) * c4);
+  },
+  'ease-out-elastic': x => {
+    if (x === 0 || x === 1) return x;
+    return Math.pow(2, -10 * x) * Math.sin((x * 10 - 0.75) * c4) + 1;
+  },
+  'ease-in-out-elastic': x => {
+    if (x === 0 || x === 1) return x;
+    return x < 0.5
+      ? -(Math.pow(2, 20 * x - 10) * Math.sin((20 * x - 11.125) * c5)) / 2
+      : (Math.pow(2, -20 * x + 10) * Math.sin((20 * x - 11.125) * c5)) / 2 + 1;
+  }
+};
+
+// Names and labels for the UI, grouped by family
+export const EASING_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  ...['quad', 'cubic', 'sine', 'expo', 'back', 'elastic'].flatMap(family => {
+    const name = family.charAt(0).toUpperCase() + family.slice(1);
+    return [
+      { value: `ease-in-${family}`, label: `${name} In` },
+      { value: `ease-out-${family}`, label: `${name} Out` },
+      { value: `ease-in-out-${family}`, label: `${name} In-Out` }
+    ];
+  })
+];
+
+export const DEFAULT_CUSTOM_EASING = 'cubic-bezier(0.25, 0.1, 0.25, 1)';
+
+// CSS-style cubic-bezier timing function: solve x(t) = x for t, return y(t)
+function cubicBezier(x1, y1, x2, y2) {
+  const ax = 1 + 3 * x1 - 3 * x2;
+  const bx = 3 * x2 - 6 * x1;
+  const cx = 3 * x1;
+  const ay = 1 + 3 * y1 - 3 * y2;
+  const by = 3 * y2 - 6 * y1;
+  const cy = 3 * y1;
+  const sampleX = t => ((ax * t + bx) * t + cx) * t;
+  const sampleY = t => ((ay * t + by) * t + cy) * t;
+  const slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+  
+  return x => {
+    // Newton's method, falling back to bisection where the slope flattens
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return sampleY(t);
+      const slope = slopeX(t);
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
+    }
+    
+    let low = 0;
+    let high = 1;
+    t = x;
+    for (let i = 0; i < 32; i++) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < 1e-6) break;
+      if (value < x) {
+        low = t;
+      } else {
+        high = t;
+      }
+      t = (low + high) / 2;
+    }
+    return sampleY(t);
+  };
+}
+
+export function parseCubicBezier(spec) {
+  const match = /^cubic-bezier\(([^)]*)\)$/.exec(String(spec).trim());
+  if (!match) return null;
+  
+  const values = match[1].split(',').map(value => parseFloat(value));
+  if (values.length !== 4 || values.some(value => !Number.isFinite(value))) return null;
+  
+  // x values must stay within the leg for the curve to be a function of time
+  const [x1, y1, x2, y2] = values;
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null;
+  return [x1, y1, x2, y2];
+}
+
+const TABLE_SIZE = 256;
+const cache = new Map();
+
+// Monotone easing function for `spec`. Overshooting curves (back, elastic,
+// some cubic-beziers) would move the head backwards along the route, so the
+// curve is clamped to 0–1 and never allowed to decrease: overshoot becomes a
+// brief hold instead. Unknown specs fall back to linear.
+export function getEasing(spec) {
+  if (!spec || spec === 'linear') return curves.linear;
+  if (cache.has(spec)) return cache.get(spec);
+  
+  let curve = curves[spec];
+  if (!curve) {
+    const points = parseCubicBezier(spec);
+    curve = points ? cubicBezier(...points) : curves.linear;
+  }
+  
+  const table = new Float64Array(TABLE_SIZE + 1);
+  let previous = 0;
+  for (let i = 1; i < TABLE_SIZE; i++) {
+    previous = Math.max(previous, Math.min(1, Math.max(0, curve(i / TABLE_SIZE))));
+    table[i] = previous;
+  }
+  table[TABLE_SIZE] = 1;
+  
+  const easing = x => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const position = x * TABLE_SIZE;
+    const index = Math.floor(position);
+    return table[index] + (table[index + 1] - table[index]) * (position - index);
+  };
+  
+  cache.set(spec, easing);
+  return easing;
+}
@@ -0,0 +1,665 @@
+// Geometry helpers for Route Plotter v3: spline sampling and arc-length lookup
+
+// Catmull-Rom spline implementation with tension control and
+// uniform (alpha 0), centripetal (alpha 0.5) or chordal (alpha 1) parameterization
+export class CatmullRom {
+  // Weights of the incoming (p1 - p0) and outgoing (p2 - p1) chords in the Hermite
+  // tangents at p1 and p2 for the p1→p2 segment, expressed per unit of segment
+  // parameter so that alpha 0 reduces to the classic (p2 - p0) / 2 form.
+  // Returns null for a zero-length segment.
+  static chordWeights(p0, p1, p2, p3, alpha = 0) {
+    const knot = (a, b) => Math.pow(Math.hypot(b.x - a.x, b.y - a.y), alpha);
+    const eps = 1e-6;
+    
+    const d0 = knot(p0, p1);
+    const d1 = knot(p1, p2);
+    const d2 = knot(p2, p3);
+    
+    if (d1 < eps) return null;
+    
+    // Clamped end points duplicate their neighbour, so fall back to the chord there
+    const start = d0 < eps
+      ? { in: 0.5, out: 0.5 }
+      : { in: (d1 * d1) / (d0 * (d0 + d1)), out: d0 / (d0 + d1) };
+    const end = d2 < eps
+      ? { in: 0.5, out: 0.5 }
+      : { in: d2 / (d1 + d2), out: (d1 * d1) / (d2 * (d1 + d2)) };
+    
+    return { start, end };
+  }
+  
+  // Hermite tangents at p1 and p2 for the p1→p2 segment
+  static tangents(p0, p1, p2, p3, alpha = 0) {
+    const weights = this.chordWeights(p0, p1, p2, p3, alpha);
+    
+    // Zero-length segment: keep the curve stationary
+    if (!weights) {
+      return { m1: { x: 0, y: 0 }, m2: { x: 0, y: 0 } };
+    }
+    
+    const { start, end } = weights;
+    return {
+      m1: {
+        x: start.in * (p1.x - p0.x) + start.out * (p2.x - p1.x),
+        y: start.in * (p1.y - p0.y) + start.out * (p2.y - p1.y)
+      },
+      m2: {
+        x: end.in * (p2.x - p1.x) + end.out * (p3.x - p2.x),
+        y: end.in * (p2.y - p1.y) + end.out * (p3.y - p2.y)
+      }
+    };
+  }
+  
+  static hermite(p1, p2, v0, v1, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    
+    return {
+      x: p1.x + v0.x * t + (3 * (p2.x - p1.x) - 2 * v0.x - v1.x) * t2 + 
+         (2 * (p1.x - p2.x) + v0.x + v1.x) * t3,
+      y: p1.y + v0.y * t + (3 * (p2.y - p1.y) - 2 * v0.y - v1.y) * t2 + 
+         (2 * (p1.y - p2.y) + v0.y + v1.y) * t3
+    };
+  }
+  
+  // Tangents scaled by tension; tension 0.5 is the standard Catmull-Rom curve
+  static segmentVelocities(p0, p1, p2, p3, tension = 0.5, alpha = 0) {
+    const { m1, m2 } = this.tangents(p0, p1, p2, p3, alpha);
+    const scale = tension * 2;
+    return {
+      v0: { x: m1.x * scale, y: m1.y * scale },
+      v1: { x: m2.x * scale, y: m2.y * scale }
+    };
+  }
+  
+  static interpolate(p0, p1, p2, p3, t, tension = 0.5, alpha = 0) {
+    const { v0, v1 } = this.segmentVelocities(p0, p1, p2, p3, tension, alpha);
+    return this.hermite(p1, p2, v0, v1, t);
+  }
+  
+  // Hermite pieces for each waypoint→waypoint segment, built according to each
+  // waypoint's corner type:
+  //   'smooth' (default) - the spline passes through with a continuous tangent
+  //   'sharp'            - the spline is clamped there, leaving in a straight line
+  //   'fillet'           - straight lines meet a circular arc of `cornerRadius`
+  // A fillet's arc is split at its midpoint between the two adjacent segments.
+  static createCurves(waypoints, tension = 0.5, alpha = 0) {
+    const last = waypoints.length - 1;
+    const cornerAt = i => (i > 0 && i < last ? waypoints[i].cornerType || 'smooth' : 'smooth');
+    const fillets = waypoints.map((waypoint, i) => (
+      cornerAt(i) === 'fillet'
+        ? createFillet(waypoints[i - 1], waypoint, waypoints[i + 1], waypoint.cornerRadius ?? DEFAULT_CORNER_RADIUS)
+        : null
+    ));
+    
+    const curves = [];
+    
+    for (let i = 0; i < last; i++) {
+      const p1 = waypoints[i];
+      const p2 = waypoints[i + 1];
+      // A sharp corner ends the spline, so it behaves like a clamped end point
+      const p0 = cornerAt(i) === 'sharp' ? p1 : waypoints[Math.max(0, i - 1)];
+      const p3 = cornerAt(i + 1) === 'sharp' ? p2 : waypoints[Math.min(last, i + 2)];
+      
+      const startFillet = fillets[i];
+      const endFillet = fillets[i + 1];
+      const pieces = [];
+      
+      if (startFillet) pieces.push(startFillet.outgoing);
+      
+      // Tangents only depend on the control points, so compute them once per segment
+      const { v0, v1 } = this.segmentVelocities(p0, p1, p2, p3, tension, alpha);
+      const start = startFillet ? startFillet.end : p1;
+      const end = endFillet ? endFillet.start : p2;
+      const span = Math.hypot(end.x - start.x, end.y - start.y);
+      
+      // Next to a fillet the curve must run straight along the fillet's tangent line
+      if (span > 1e-6 || pieces.length === 0) {
+        pieces.push({
+          p1: start,
+          p2: end,
+          v0: startFillet ? scale(startFillet.directionOut, span) : v0,
+          v1: endFillet ? scale(endFillet.directionIn, span) : v1
+        });
+      }
+      
+      if (endFillet) pieces.push(endFillet.incoming);
+      
+      curves.push(pieces);
+    }
+    
+    return curves;
+  }
+  
+  // Sample each waypoint→waypoint segment separately; every segment includes
+  // both of its end points so it can be measured on its own.
+  // Segments are subdivided until they stay within `tolerance` pixels of the
+  // true curve, unless a fixed `pointsPerSegment` is given.
+  static createSegments(waypoints, options = {}) {
+    if (waypoints.length < 2) return [];
+    
+    const { tension = 0.5, alpha = 0 } = options;
+    return sampleCurves(this.createCurves(waypoints, tension, alpha), options);
+  }
+  
+  static createPath(waypoints, options = {}) {
+    const segments = this.createSegments(waypoints, options);
+    if (segments.length === 0) return [];
+    
+    // Drop each segment's end point, it is the next segment's start point
+    const path = segments.flatMap(points => points.slice(0, -1));
+    
+    // Add the last point
+    path.push(waypoints[waypoints.length - 1]);
+    
+    return path;
+  }
+}
+
+// Kochanek–Bartels extension: each waypoint may carry its own tension, continuity
+// and bias. Tension uses the same 0–1 scale as the global setting (0.5 is a
+// standard Catmull-Rom curve, 0 a sharp corner); continuity and bias range -1 to 1.
+// Waypoints without their own values behave exactly like CatmullRom.
+export class KochanekBartels extends CatmullRom {
+  static shapeAt(point, tension = 0.5) {
+    return {
+      tension: point.tension ?? tension,
+      continuity: point.continuity ?? 0,
+      bias: point.bias ?? 0
+    };
+  }
+  
+  static segmentVelocities(p0, p1, p2, p3, tension = 0.5, alpha = 0) {
+    const weights = this.chordWeights(p0, p1, p2, p3, alpha);
+    if (!weights) {
+      return { v0: { x: 0, y: 0 }, v1: { x: 0, y: 0 } };
+    }
+    
+    const start = this.shapeAt(p1, tension);
+    const end = this.shapeAt(p2, tension);
+    
+    // Outgoing tangent at p1 (source) and incoming tangent at p2 (destination)
+    const s = start.tension * 2;
+    const e = end.tension * 2;
+    const startIn = weights.start.in * s * (1 + start.bias) * (1 + start.continuity);
+    const startOut = weights.start.out * s * (1 - start.bias) * (1 - start.continuity);
+    const endIn = weights.end.in * e * (1 + end.bias) * (1 - end.continuity);
+    const endOut = weights.end.out * e * (1 - end.bias) * (1 + end.continuity);
+    
+    return {
+      v0: {
+        x: startIn * (p1.x - p0.x) + startOut * (p2.x - p1.x),
+        y: startIn * (p1.y - p0.y) + startOut * (p2.y - p1.y)
+      },
+      v1: {
+        x: endIn * (p2.x - p1.x) + endOut * (p3.x - p2.x),
+        y: endIn * (p2.y - p1.y) + endOut * (p3.y - p2.y)
+      }
+    };
+  }
+  
+  // Per-waypoint shape that best reproduces Bézier handles (offsets from each
+  // waypoint, see CubicBezier). Handles that came from a spline are reproduced
+  // exactly; handles that break the tangent become sharp corners. Rounded
+  // corners stay rounded (see CubicBezier.handlesFromSpline), and values that
+  // match the global `tension` or the standard curve are left unset (null).
+  static fitHandles(waypoints, tension = 0.5, alpha = 0) {
+    const last = waypoints.length - 1;
+    
+    return waypoints.map((point, i) => {
+      const prev = waypoints[Math.max(0, i - 1)];
+      const next = waypoints[Math.min(last, i + 1)];
+      const vOut = scale(point.handleOut || { x: 0, y: 0 }, 3);
+      const vIn = scale(point.handleIn || { x: 0, y: 0 }, -3);
+      const a = { x: point.x - prev.x, y: point.y - prev.y };
+      const b = { x: next.x - point.x, y: next.y - point.y };
+      const project = (v, chord) => {
+        const lengthSquared = chord.x * chord.x + chord.y * chord.y;
+        return lengthSquared > 0 ? Math.max(0, (v.x * chord.x + v.y * chord.y) / lengthSquared) : 0;
+      };
+      
+      // End points only have one tangent, which always runs along the chord
+      if (i === 0 || i === last) {
+        const tension = i === 0 ? project(vOut, b) : project(vIn, a);
+        return { tension, continuity: 0, bias: 0, cornerType: 'smooth' };
+      }
+      
+      const outgoing = this.chordWeights(prev, point, next, waypoints[Math.min(last, i + 2)], alpha);
+      const incoming = this.chordWeights(waypoints[Math.max(0, i - 2)], prev, point, next, alpha);
+      const det = a.x * b.y - a.y * b.x;
+      
+      if (outgoing && incoming && Math.abs(det) > 1e-6) {
+        // Express both tangents in terms of the incoming and outgoing chords
+        const decompose = v => ({
+          alongIn: (v.x * b.y - v.y * b.x) / det,
+          alongOut: (a.x * v.y - a.y * v.x) / det
+        });
+        const o = decompose(vOut);
+        const n = decompose(vIn);
+        
+        // s(1+B)(1+C), s(1-B)(1-C), s(1+B)(1-C), s(1-B)(1+C)
+        const p = o.alongIn / outgoing.start.in;
+        const q = o.alongOut / outgoing.start.out;
+        const r = n.alongIn / incoming.end.in;
+        const u = n.alongOut / incoming.end.out;
+        
+        if (p > 1e-9 && q > 1e-9 && r > 1e-9 && u > 1e-9) {
+          const continuityRatio = Math.sqrt((p * u) / (r * q));
+          const biasRatio = Math.sqrt((p * r) / (u * q));
+          const continuity = (continuityRatio - 1) / (continuityRatio + 1);
+          const bias = (biasRatio - 1) / (biasRatio + 1);
+          const s = Math.sqrt(Math.sqrt(p * q * r * u) / ((1 - bias * bias) * (1 - continuity * continuity)));
+          return { tension: s / 2, continuity, bias, cornerType: 'smooth' };
+        }
+      }
+      
+      // Sharp corner: each side leaves along its own chord, s(1-B) out and s(1+B) in
+      const outScale = project(vOut, b) * 2;
+      const inScale = project(vIn, a) * 2;
+      const s = (outScale + inScale) / 2;
+      const bias = s > 0 ? (inScale - outScale) / (outScale + inScale) : 0;
+      return { tension: s / 2, continuity: 0, bias, cornerType: 'sharp' };
+    }).map((shape, i) => ({
+      tension: Math.abs(shape.tension - tension) < 1e-6 ? null : shape.tension,
+      continuity: Math.abs(shape.continuity) < 1e-6 ? null : shape.continuity,
+      bias: Math.abs(shape.bias) < 1e-6 ? null : shape.bias,
+      cornerType: waypoints[i].cornerType === 'fillet' ? 'fillet' : shape.cornerType
+    }));
+  }
+}
+
+// Cubic Bézier path: each waypoint carries `handleIn` and `handleOut` offsets
+// (relative to the waypoint, so they follow it when dragged) and a `handleMode`:
+//   'mirrored' - opposite handles, same length
+//   'aligned'  - opposite handles, independent lengths
+//   'free'     - independent handles (corner)
+export class CubicBezier {
+  static createCurves(waypoints) {
+    const curves = [];
+    const zero = { x: 0, y: 0 };
+    
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const p1 = waypoints[i];
+      const p2 = waypoints[i + 1];
+      // Hermite velocities are three times the Bézier handle vectors
+      curves.push([{
+        p1,
+        p2,
+        v0: scale(p1.handleOut || zero, 3),
+        v1: scale(p2.handleIn || zero, -3)
+      }]);
+    }
+    
+    return curves;
+  }
+  
+  static createSegments(waypoints, options = {}) {
+    if (waypoints.length < 2) return [];
+    return sampleCurves(this.createCurves(waypoints), options);
+  }
+  
+  // Handles that reproduce the spline through `waypoints` exactly. Rounded
+  // corners can't be expressed by a single cubic, so they become smooth curves;
+  // the waypoints keep their corner type and radius for converting back.
+  static handlesFromSpline(waypoints, tension = 0.5, alpha = 0) {
+    const unrounded = waypoints.map(point => (
+      point.cornerType === 'fillet' ? { ...point, cornerType: 'smooth' } : point
+    ));
+    const curves = KochanekBartels.createCurves(unrounded, tension, alpha);
+    const handles = waypoints.map(() => ({ handleIn: null, handleOut: null }));
+    
+    curves.forEach(([piece], i) => {
+      handles[i].handleOut = scale(piece.v0, 1 / 3);
+      handles[i + 1].handleIn = scale(piece.v1, -1 / 3);
+    });
+    
+    // End points get a mirrored handle so the route can be extended smoothly
+    const first = handles[0];
+    const last = handles[handles.length - 1];
+    if (first.handleOut) first.handleIn = scale(first.handleOut, -1);
+    if (last.handleIn) last.handleOut = scale(last.handleIn, -1);
+    
+    return handles.map(({ handleIn, handleOut }) => ({
+      handleIn,
+      handleOut,
+      handleMode: handleIn && handleOut ? CubicBezier.classifyHandles(handleIn, handleOut) : 'mirrored'
+    }));
+  }
+  
+  static classifyHandles(handleIn, handleOut) {
+    const inLength = Math.hypot(handleIn.x, handleIn.y);
+    const outLength = Math.hypot(handleOut.x, handleOut.y);
+    if (inLength < 1e-6 || outLength < 1e-6) return 'free';
+    
+    const cross = (handleIn.x * handleOut.y - handleIn.y * handleOut.x) / (inLength * outLength);
+    const dot = (handleIn.x * handleOut.x + handleIn.y * handleOut.y) / (inLength * outLength);
+    if (Math.abs(cross) > 1e-3 || dot > 0) return 'free';
+    return Math.abs(inLength - outLength) < 1e-3 * Math.max(inLength, outLength) ? 'mirrored' : 'aligned';
+  }
+  
+  // Re-apply a waypoint's handle mode after `moved` ('in' or 'out') changed
+  static constrainHandles(point, moved) {
+    const source = moved === 'in' ? point.handleIn : point.handleOut;
+    const targetKey = moved === 'in' ? 'handleOut' : 'handleIn';
+    const target = point[targetKey];
+    if (!source || point.handleMode === 'free') return;
+    
+    const sourceLength = Math.hypot(source.x, source.y);
+    if (sourceLength < 1e-6) return;
+    
+    const length = point.handleMode === 'mirrored' || !target
+      ? sourceLength
+      : Math.hypot(target.x, target.y);
+    point[targetKey] = scale(source, -length / sourceLength);
+  }
+}
+
+// Adaptive sampling defaults: half a pixel of error, and a budget for the
+// total number of points so huge routes can't stall rendering
+export const DEFAULT_TOLERANCE = 0.5;
+export const DEFAULT_POINT_BUDGET = 20000;
+const MIN_DEPTH = 2; // Always split at least into quarters so S-bends aren't mistaken for lines
+const MAX_DEPTH = 10;
+
+export const DEFAULT_CORNER_RADIUS = 30;
+
+function scale(v, factor) {
+  return { x: v.x * factor, y: v.y * factor };
+}
+
+// Rounded corner at `corner`: tangent points on the incoming and outgoing lines
+// and two Hermite pieces approximating the arc halves either side of its midpoint.
+// The radius shrinks when the adjacent lines are too short to fit it.
+// Returns null for a straight or degenerate corner.
+function createFillet(prev, corner, next, radius) {
+  const inX = corner.x - prev.x;
+  const inY = corner.y - prev.y;
+  const outX = next.x - corner.x;
+  const outY = next.y - corner.y;
+  const inLength = Math.hypot(inX, inY);
+  const outLength = Math.hypot(outX, outY);
+  if (inLength < 1e-6 || outLength < 1e-6 || radius <= 0) return null;
+  
+  const directionIn = { x: inX / inLength, y: inY / inLength };
+  const directionOut = { x: outX / outLength, y: outY / outLength };
+  const dot = Math.max(-1, Math.min(1, directionIn.x * directionOut.x + directionIn.y * directionOut.y));
+  const deflection = Math.acos(dot);
+  if (deflection < 1e-3 || deflection > Math.PI - 1e-3) return null;
+  
+  // Each side may use at most half of its line so neighbouring fillets can't overlap
+  const tangentLength = Math.min(radius * Math.tan(deflection / 2), inLength / 2, outLength / 2);
+  const arcRadius = tangentLength / Math.tan(deflection / 2);
+  
+  const start = { x: corner.x - directionIn.x * tangentLength, y: corner.y - directionIn.y * tangentLength };
+  const end = { x: corner.x + directionOut.x * tangentLength, y: corner.y + directionOut.y * tangentLength };
+  
+  // The arc midpoint lies on the bisector, arcRadius from the centre
+  const bisector = { x: directionOut.x - directionIn.x, y: directionOut.y - directionIn.y };
+  const bisectorLength = Math.hypot(bisector.x, bisector.y);
+  const centreDistance = arcRadius / Math.cos(deflection / 2);
+  const centre = {
+    x: corner.x + (bisector.x / bisectorLength) * centreDistance,
+    y: corner.y + (bisector.y / bisectorLength) * centreDistance
+  };
+  const middle = {
+    x: centre.x - (bisector.x / bisectorLength) * arcRadius,
+    y: centre.y - (bisector.y / bisectorLength) * arcRadius
+  };
+  const middleDirection = {
+    x: (directionIn.x + directionOut.x) / Math.hypot(directionIn.x + directionOut.x, directionIn.y + directionOut.y),
+    y: (directionIn.y + directionOut.y) / Math.hypot(directionIn.x + directionOut.x, directionIn.y + directionOut.y)
+  };
+  
+  // Cubic approximation of a circular arc spanning deflection / 2
+  const speed = 4 * arcRadius * Math.tan(deflection / 8);
+  
+  return {
+    start,
+    end,
+    directionIn,
+    directionOut,
+    incoming: { p1: start, p2: middle, v0: scale(directionIn, speed), v1: scale(middleDirection, speed) },
+    outgoing: { p1: middle, p2: end, v0: scale(middleDirection, speed), v1: scale(directionOut, speed) }
+  };
+}
+
+// Join the sampled points of consecutive pieces into one segment polyline
+function samplePieces(pieces, sample) {
+  const points = [];
+  pieces.forEach((piece, index) => {
+    const sampled = sample(piece);
+    points.push(...(index === 0 ? sampled : sampled.slice(1)));
+  });
+  return points;
+}
+
+function sampleCurveUniform(curve, pointsPerSegment) {
+  const { p1, p2, v0, v1 } = curve;
+  const points = [];
+  for (let j = 0; j < pointsPerSegment; j++) {
+    points.push(CatmullRom.hermite(p1, p2, v0, v1, j / pointsPerSegment));
+  }
+  points.push({ x: p2.x, y: p2.y });
+  return points;
+}
+
+// Recursive midpoint subdivision: a span is flat enough when the curve's
+// midpoint lies within `tolerance` of the chord's midpoint. Long or tightly
+// curved spans deviate more, so they get proportionally more points.
+function sampleCurveAdaptive(curve, tolerance, minDepth = MIN_DEPTH) {
+  const { p1, p2, v0, v1 } = curve;
+  const evaluate = t => CatmullRom.hermite(p1, p2, v0, v1, t);
+  const points = [{ x: p1.x, y: p1.y }];
+  
+  const subdivide = (t0, a, t1, b, depth) => {
+    const tm = (t0 + t1) / 2;
+    const m = evaluate(tm);
+    const deviation = Math.hypot(m.x - (a.x + b.x) / 2, m.y - (a.y + b.y) / 2);
+    
+    if (depth < minDepth || (depth < MAX_DEPTH && deviation > tolerance)) {
+      subdivide(t0, a, tm, m, depth + 1);
+      subdivide(tm, m, t1, b, depth + 1);
+    } else {
+      points.push(b);
+    }
+  };
+  
+  subdivide(0, points[0], 1, { x: p2.x, y: p2.y }, 0);
+  return points;
+}
+
+// Sample every segment's pieces, either adaptively within `tolerance` pixels
+// or with a fixed `pointsPerSegment`. Adaptive sampling coarsens to keep within
+// `pointBudget` points in total. The budget is soft: every piece keeps at least
+// one chord, so a route with more pieces than the budget goes over it.
+function sampleCurves(curves, options = {}) {
+  const {
+    pointsPerSegment = 0,
+    tolerance = DEFAULT_TOLERANCE,
+    pointBudget = DEFAULT_POINT_BUDGET
+  } = options;
+  
+  if (pointsPerSegment > 0) {
+    return curves.map(pieces => samplePieces(pieces, piece => sampleCurveUniform(piece, pointsPerSegment)));
+  }
+  return sampleCurvesAdaptive(curves, tolerance, pointBudget);
+}
+
+function sampleCurvesAdaptive(curves, tolerance, pointBudget) {
+  let currentTolerance = Math.max(tolerance, 0.01);
+  let minDepth = MIN_DEPTH;
+  const sampleAll = () => curves.map(pieces => (
+    samplePieces(pieces, piece => sampleCurveAdaptive(piece, currentTolerance, minDepth))
+  ));
+  let segments = sampleAll();
+  
+  // Coarsen until the whole route fits the point budget
+  const countPoints = () => segments.reduce((sum, points) => sum + points.length, 0);
+  for (let attempt = 0; attempt < 16 && countPoints() > pointBudget; attempt++) {
+    currentTolerance *= 2;
+    segments = sampleAll();
+  }
+  
+  // Still over: the minimum subdivision alone is too many points, so drop it
+  // and let flat enough pieces become single chords, then every piece
+  if (countPoints() > pointBudget) {
+    minDepth = 0;
+    segments = sampleAll();
+  }
+  if (countPoints() > pointBudget) {
+    currentTolerance = Infinity;
+    segments = sampleAll();
+  }
+  
+  return segments;
+}
+
+// Largest index i with values[i] <= target (values ascending, values[0] <= target)
+function findInterval(values, target) {
+  let low = 0;
+  let high = values.length - 1;
+  
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (values[mid] <= target) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return low;
+}
+
+// Arc-length parameterized route built from sampled segments.
+// Each segment keeps its own cumulative distance table so a distance along the
+// route maps to a position with two binary searches instead of a linear scan.
+export class PathGeometry {
+  constructor(segments) {
+    this.segments = [];
+    this.segmentStarts = [];
+    
+    let start = 0;
+    segments.forEach(points => {
+      const distances = new Float64Array(points.length);
+      for (let i = 1; i < points.length; i++) {
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        distances[i] = distances[i - 1] + Math.sqrt(dx * dx + dy * dy);
+      }
+      
+      const length = distances[points.length - 1];
+      this.segments.push({ points, distances, start, length });
+      this.segmentStarts.push(start);
+      start += length;
+    });
+    
+    this.totalLength = start;
+  }
+  
+  // `mode` selects how waypoints are joined: 'catmull-rom' (default) or 'bezier'
+  static fromWaypoints(waypoints, options = {}) {
+    const spline = options.mode === 'bezier' ? CubicBezier : KochanekBartels;
+    return new PathGeometry(spline.createSegments(waypoints, options));
+  }
+  
+  // All sampled points as one polyline
+  get points() {
+    if (this.segments.length === 0) return [];
+    
+    const points = this.segments.flatMap(segment => segment.points.slice(0, -1));
+    const last = this.segments[this.segments.length - 1].points;
+    points.push(last[last.length - 1]);
+    return points;
+  }
+  
+  // Distance along the route at which waypoint `index` is reached
+  waypointDistance(index) {
+    if (index <= 0 || this.segments.length === 0) return 0;
+    if (index >= this.segments.length) return this.totalLength;
+    return this.segmentStarts[index];
+  }
+  
+  segmentIndexAt(distance) {
+    if (this.segments.length === 0) return -1;
+    const clamped = Math.max(0, Math.min(this.totalLength, distance));
+    return findInterval(this.segmentStarts, clamped);
+  }
+  
+  // Position, heading and location in the tables for a distance along the route
+  positionAt(distance) {
+    if (this.segments.length === 0) return null;
+    
+    const clamped = Math.max(0, Math.min(this.totalLength, distance));
+    const segmentIndex = findInterval(this.segmentStarts, clamped);
+    const segment = this.segments[segmentIndex];
+    const local = clamped - segment.start;
+    
+    const pointIndex = Math.min(findInterval(segment.distances, local), segment.points.length - 2);
+    const a = segment.points[pointIndex];
+    const b = segment.points[pointIndex + 1];
+    const span = segment.distances[pointIndex + 1] - segment.distances[pointIndex];
+    const t = span > 0 ? Math.min(1, (local - segment.distances[pointIndex]) / span) : 0;
+    
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+      segmentIndex,
+      pointIndex
+    };
+  }
+  
+  // Sampled points of one segment up to `distance` along the whole route,
+  // ending exactly at that distance so partial reveals don't snap between samples
+  revealedPoints(segmentIndex, distance) {
+    const segment = this.segments[segmentIndex];
+    if (!segment || distance <= segment.start) return [];
+    if (distance >= segment.start + segment.length) return segment.points;
+    
+    const position = this.positionAt(distance);
+    const points = segment.points.slice(0, position.pointIndex + 1);
+    points.push({ x: position.x, y: position.y });
+    return points;
+  }
+}
+
+// Ramer–Douglas–Peucker simplification: the fewest of `points` that keep the
+// polyline within `tolerance` pixels of the original, always including the ends
+export function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+  
+  const keep = points.map((point, index) => index === 0 || index === points.length - 1);
+  
+  // Iterative so long strokes can't overflow the stack
+  const spans = [[0, points.length - 1]];
+  while (spans.length > 0) {
+    const [first, last] = spans.pop();
+    const a = points[first];
+    const b = points[last];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const p = points[i];
+      const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+        : 0;
+      const distance = Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+    
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      spans.push([first, farthest], [farthest, last]);
+    }
+  }
+  
+  return points.filter((point, index) => keep[index]);
+}
@@ -0,0 +1,94 @@
+// Head markers for Route Plotter v3: what is drawn at the tip of a route as it
+// is drawn. A route's `head.shape`:
+//   'none'  - nothing
+//   'dot'   - a dot in the route color
+//   'arrow' - an arrowhead pointing along the path
+//   'pulse' - a dot with a pulsing halo (steady with reduced motion)
+//   'icon'  - an uploaded PNG or SVG image, drawn facing right when heading right
+// Icons follow `head.orientation`:
+//   'rotate' - turned to the direction of travel
+//   'flip'   - kept upright, mirrored while heading left
+//   'fixed'  - drawn as they are
+// `head.size` is the marker's size (drawing pixels) as the route starts and
+// `head.endSize` as it finishes; in between it follows the route's progress.
+
+import { PULSE_RATE } from './runtime.js';
+
+function drawDot(ctx, color, size) {
+  ctx.beginPath();
+  ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = Math.max(1, size / 8);
+  ctx.stroke();
+}
+
+// Draw `head` ({x, y, angle}, from PathGeometry.positionAt) as the marker
+// `marker` (a route's `head`). `progress` (0–1) is how far through its track
+// the route is, `time` the track's playback time (ms) and `icon` the loaded
+// image for icon markers; until it has loaded a dot stands in.
+export function drawHead(ctx, head, marker, { color, progress, time, reducedMotion, icon }) {
+  if (marker.shape === 'none') return;
+  
+  const size = marker.size + (marker.endSize - marker.size) * Math.max(0, Math.min(1, progress));
+  const hasIcon = icon && icon.complete && (icon.naturalWidth > 0 || icon.naturalHeight > 0);
+  ctx.save();
+  ctx.translate(head.x, head.y);
+  
+  switch (marker.shape) {
+    case 'arrow':
+      ctx.rotate(head.angle);
+      ctx.beginPath();
+      ctx.moveTo(size * 0.6, 0);
+      ctx.lineTo(-size * 0.4, size * 0.45);
+      ctx.lineTo(-size * 0.2, 0);
+      ctx.lineTo(-size * 0.4, -size * 0.45);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = Math.max(1, size / 10);
+      ctx.lineJoin = 'round';
+      ctx.stroke();
+      break;
+    
+    case 'pulse': {
+      const pulse = reducedMotion ? 1 : 1 + Math.sin(time * PULSE_RATE * 2) * 0.3;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(0, 0, size * pulse, 0, Math.PI * 2);
+      ctx.globalAlpha *= 0.3;
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.restore();
+      drawDot(ctx, color, size);
+      break;
+    }
+    
+    case 'icon':
+      if (hasIcon) {
+        if (marker.orientation === 'rotate') {
+          ctx.rotate(head.angle);
+        } else if (marker.orientation === 'flip' && Math.cos(head.angle) < 0) {
+          ctx.scale(-1, 1);
+        }
+        
+        // Fit within a size × size square; SVGs without dimensions fill it
+        const width = icon.naturalWidth || size;
+        const height = icon.naturalHeight || size;
+        const scale = size / Math.max(width, height);
+        ctx.drawImage(icon, -width * scale / 2, -height * scale / 2, width * scale, height * scale);
+      } else {
+        drawDot(ctx, color, size);
+      }
+      break;
+    
+    case 'dot':
+    default:
+      drawDot(ctx, color, size);
+      break;
+  }
+  
+  ctx.restore();
+}
@@ -1,43 +1,19 @@
-// Catmull-Rom spline implementation with tension control
-class CatmullRom {
-  static interpolate(p0, p1, p2, p3, t, tension = 0.5) {
-    const t2 = t * t;
-    const t3 = t2 * t;
-    
-    const v0 = { x: (p2.x - p0.x) * tension, y: (p2.y - p0.y) * tension };
-    const v1 = { x: (p3.x - p1.x) * tension, y: (p3.y - p1.y) * tension };
-    
-    return {
-      x: p1.x + v0.x * t + (3 * (p2.x - p1.x) - 2 * v0.x - v1.x) * t2 + 
-         (2 * (p1.x - p2.x) + v0.x + v1.x) * t3,
-      y: p1.y + v0.y * t + (3 * (p2.y - p1.y) - 2 * v0.y - v1.y) * t2 + 
-         (2 * (p1.y - p2.y) + v0.y + v1.y) * t3
-    };
-  }
-  
-  static createPath(waypoints, pointsPerSegment = 30, tension = 0.5) {
-    if (waypoints.length < 2) return [];
-    
-    const path = [];
-    
-    for (let i = 0; i < waypoints.length - 1; i++) {
-      const p0 = waypoints[Math.max(0, i - 1)];
-      const p1 = waypoints[i];
-      const p2 = waypoints[i + 1];
-      const p3 = waypoints[Math.min(waypoints.length - 1, i + 2)];
-      
-      for (let j = 0; j < pointsPerSegment; j++) {
-        const t = j / pointsPerSegment;
-        path.push(CatmullRom.interpolate(p0, p1, p2, p3, t, tension));
-      }
-    }
-    
-    // Add the last point
-    path.push(waypoints[waypoints.length - 1]);
-    
-    return path;
-  }
-}
+import { PathGeometry, KochanekBartels, CubicBezier, DEFAULT_TOLERANCE, DEFAULT_POINT_BUDGET, DEFAULT_CORNER_RADIUS, simplifyPolyline } from './geometry.js';
+import { Timeline, BranchingTimeline, RouteSchedule } from './timing.js';
+import { createRoute, createBranch, createWaypoint, branchOf, allWaypoints, routeChains, removeWaypoint, removeBranch } from './routes.js';
+import { EASING_OPTIONS, parseCubicBezier } from './easing.js';
+import { cameraAt, cameraKeyframes, fitView } from './camera.js';
+import { serializeProject, migrateProject, loadRoutes, projectImage } from './project.js';
+import { snapPoint } from './snapping.js';
+import { strokePath, widthAlong } from './strokes.js';
+import { trackColorings, dataRange, rampStops } from './coloring.js';
+import { drawHead } from './heads.js';
+import { FixedStepClock, frameStateAt, playbackLength, routeTimeAt, isRetracting, isLooping, cycleFrameCount, DEFAULT_FRAME_RATE, PULSE_RATE, RIPPLE_INTERVAL, RIPPLE_LIFETIME, CROSSFADE_DURATION } from './runtime.js';
+
+const MAX_EDIT_ZOOM = 16; // editing view zoom limit, relative to the base view
+const DRAG_THRESHOLD = 3; // screen pixels the mouse moves before a click becomes a pan or stroke
+const MINIMAP_SIZE = 160; // longest side of the minimap, screen pixels
+const SNAP_DISTANCE = 8; // screen pixels within which waypoints line up
 
 // Main application class for Route Plotter v3
 class RoutePlotter {
@@ -46,45 +22,102 @@ class RoutePlotter {
     this.canvas = document.getElementById('canvas');
     this.ctx = this.canvas.getContext('2d');
     
-    // Waypoints and path data
-    this.waypoints = [];
-    this.pathPoints = [];
+    // Routes, each with its own waypoints and path data; editing acts on the active one
+    this.routes = [createRoute(0)];
+    this.activeRouteIndex = 0;
+    this.activeBranch = null; // branch of the active route new waypoints go to (null = main path)
+    this.schedule = new RouteSchedule([]); // When each route's timeline plays
     this.selectedWaypoint = null;
     this.isDragging = false;
+    this.draggedHandle = null; // 'in' or 'out' while dragging a Bézier handle
     this.hasDragged = false; // Track if mouse actually moved during drag
     this.dragOffset = { x: 0, y: 0 };
     
+    // Fixed-step playback clock; every frame is rendered from the playback time alone
+    this.clock = new FixedStepClock(DEFAULT_FRAME_RATE);
+    this.isExporting = false;
+    
+    // Base image; waypoints are stored in its pixels. Without one they are in the
+    // pixels of a blank drawing the size the canvas had when it was started.
+    this.image = null;
+    this.blankSize = null;
+    this.imageName = null;
+    this.imageData = null; // data URL of the loaded file
+    this.imageFit = 'contain'; // 'cover' or 'native', see fitView()
+    
+    // Camera (see camera.js); `view` is the view of the last on-screen frame (the
+    // camera or the editing view), used to map mouse positions back onto the drawing
+    this.camera = {
+      mode: 'off', // 'follow' or 'keyframes'
+      zoom: 2, // follow zoom, 1–4×
+      margin: 60 // screen pixels kept between the heads and the viewport edge
+    };
+    this.cameraKeys = [];
+    this.view = null;
+    
+    // Editing view, separate from the camera: while not playing the canvas shows
+    // this instead. {x, y, zoom} with zoom relative to the base view; null shows
+    // the whole drawing.
+    this.editView = null;
+    this.panStart = null; // mouse position while dragging to pan
+    this.isMinimapDragging = false;
+    this.pinch = null; // {center, distance} of a two-finger touch pinch
+    this.minimapRect = null; // where the minimap was last drawn, in canvas pixels
+    
+    // Snapping of placed and dragged waypoints (see snapping.js); holding Ctrl
+    // snaps to 45° steps from the previous waypoint
+    this.snapping = {
+      grid: 0, // grid spacing in drawing pixels, 0 for off
+      align: 'off' // 'waypoints' lines up with other waypoints
+    };
+    this.snapGuides = []; // guide lines shown while dragging
+    this.headIcons = new Map(); // head icon images by data URL
+    
+    // Waypoint placement: 'click' adds one per click, 'trace' turns a stroke
+    // dragged across empty space into waypoints (see finishTrace)
+    this.drawMode = 'click';
+    this.traceTolerance = 4; // screen pixels the waypoints may stray from the stroke
+    this.traceStroke = null; // drawing points of the stroke being traced
+    
     // Animation state
     this.animationState = {
       isPlaying: false,
       progress: 0, // 0 to 1
-      currentTime: 0, // in milliseconds
-      duration: 5000, // default 5 seconds
-      speed: 200, // pixels per second
-      mode: 'constant-speed', // or 'constant-time'
-      playbackSpeed: 1 // 0.5, 1, or 2
+      currentTime: 0, // playback position in milliseconds
+      duration: 0, // length of one playback pass (twice the routes for ping-pong), in milliseconds
+      playbackMode: 'once', // 'loop', 'ping-pong' or 'reverse'
+      arrangement: 'simultaneous', // how routes share playback: 'sequential' or 'staggered'
+      pauseMode: 'continuous', // 'timed' or 'click' pauses at major waypoints
+      pauseDuration: 2000, // pause length for timed mode
+      holdDuration: 2000, // stand-in length of click-to-continue holds when scrubbing and exporting
+      waitingAt: null, // hold phase live playback is waiting at for a click
+      playbackSpeed: 1, // 0.5, 1, or 2
+      // Reveal legs stepwise with crossfades and keep beacons still (preview and export)
+      reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches
     };
     
     // Style settings
     this.styles = {
-      pathColor: '#FF6B6B',
-      pathThickness: 3,
       pathTension: 0.75, // Catmull-Rom tension (75% = less smooth)
+      pathAlpha: 0.5, // Catmull-Rom parameterization: 0 uniform, 0.5 centripetal, 1 chordal
+      pathTolerance: DEFAULT_TOLERANCE, // Max deviation (px) of sampled path from the true curve
+      pathMode: 'catmull-rom', // or 'bezier' (waypoints carry editable handles)
       waypointSize: 8,
       beaconStyle: 'pulse',
       beaconColor: '#FF6B6B'
     };
     
-    // Beacon animation state
-    this.beaconAnimation = {
-      pulsePhase: 0,
-      ripples: []
-    };
-    
     // UI Elements
     this.elements = {
       helpBtn: document.getElementById('help-btn'),
       clearBtn: document.getElementById('clear-btn'),
+      exportBtn: document.getElementById('export-btn'),
+      openBtn: document.getElementById('open-btn'),
+      saveBtn: document.getElementById('save-btn'),
+      projectInput: document.getElementById('project-input'),
+      imageBtn: document.getElementById('image-btn'),
+      imageInput: document.getElementById('image-input'),
+      imageFit: document.getElementById('image-fit'),
       playBtn: document.getElementById('play-btn'),
       pauseBtn: document.getElementById('pause-btn'),
       skipStartBtn: document.getElementById('skip-start-btn'),
@@ -95,6 +128,15 @@ class RoutePlotter {
       splash: document.getElementById('splash'),
       splashClose: document.getElementById('splash-close'),
       splashDontShow: document.getElementById('splash-dont-show'),
+      // Route controls
+      routeSelect: document.getElementById('route-select'),
+      routeName: document.getElementById('route-name'),
+      routeAdd: document.getElementById('route-add'),
+      routeDelete: document.getElementById('route-delete'),
+      routeArrangement: document.getElementById('route-arrangement'),
+      routeOffset: document.getElementById('route-offset'),
+      routeOffsetValue: document.getElementById('route-offset-value'),
+      routeOffsetControl: document.getElementById('route-offset-control'),
       // Style controls
       pathColor: document.getElementById('path-color'),
       pathThickness: document.getElementById('path-thickness'),
@@ -103,6 +145,37 @@ class RoutePlotter {
       waypointSizeValue: document.getElementById('waypoint-size-value'),
       beaconStyle: document.getElementById('beacon-style'),
       beaconColor: document.getElementById('beacon-color'),
+      cameraMode: document.getElementById('camera-mode'),
+      cameraZoom: document.getElementById('camera-zoom'),
+      cameraZoomValue: document.getElementById('camera-zoom-value'),
+      cameraZoomControl: document.getElementById('camera-zoom-control'),
+      cameraMargin: document.getElementById('camera-margin'),
+      cameraMarginValue: document.getElementById('camera-margin-value'),
+      cameraMarginControl: document.getElementById('camera-margin-control'),
+      pathWidthMode: document.getElementById('path-width-mode'),
+      headShape: document.getElementById('head-shape'),
+      headControls: document.getElementById('head-controls'),
+      headSize: document.getElementById('head-size'),
+      headSizeValue: document.getElementById('head-size-value'),
+      headEndSize: document.getElementById('head-end-size'),
+      headEndSizeValue: document.getElementById('head-end-size-value'),
+      headIconControls: document.getElementById('head-icon-controls'),
+      headOrientation: document.getElementById('head-orientation'),
+      headIconBtn: document.getElementById('head-icon-btn'),
+      headIconInput: document.getElementById('head-icon-input'),
+      pathColoring: document.getElementById('path-coloring'),
+      gradientControls: document.getElementById('gradient-controls'),
+      gradientFrom: document.getElementById('gradient-from'),
+      gradientTo: document.getElementById('gradient-to'),
+      dataControls: document.getElementById('data-controls'),
+      colorRamp: document.getElementById('color-ramp'),
+      dataLabel: document.getElementById('data-label'),
+      snapGrid: document.getElementById('snap-grid'),
+      snapAlign: document.getElementById('snap-align'),
+      drawMode: document.getElementById('draw-mode'),
+      traceTolerance: document.getElementById('trace-tolerance'),
+      traceToleranceValue: document.getElementById('trace-tolerance-value'),
+      traceToleranceControl: document.getElementById('trace-tolerance-control'),
       // New controls
       animationMode: document.getElementById('animation-mode'),
       animationSpeed: document.getElementById('animation-speed'),
@@ -111,27 +184,226 @@ class RoutePlotter {
       animationDurationValue: document.getElementById('animation-duration-value'),
       speedControl: document.getElementById('speed-control'),
       durationControl: document.getElementById('duration-control'),
+      legDuration: document.getElementById('leg-duration'),
+      legDurationValue: document.getElementById('leg-duration-value'),
+      legDurationControl: document.getElementById('leg-duration-control'),
+      frameRate: document.getElementById('frame-rate'),
+      motionMode: document.getElementById('motion-mode'),
+      playbackMode: document.getElementById('playback-mode'),
+      pauseMode: document.getElementById('pause-mode'),
+      pauseDuration: document.getElementById('pause-duration'),
+      pauseDurationValue: document.getElementById('pause-duration-value'),
+      pauseDurationControl: document.getElementById('pause-duration-control'),
+      holdDuration: document.getElementById('hold-duration'),
+      holdDurationValue: document.getElementById('hold-duration-value'),
+      holdDurationControl: document.getElementById('hold-duration-control'),
+      animationEasing: document.getElementById('animation-easing'),
+      animationEasingCustom: document.getElementById('animation-easing-custom'),
+      animationEasingCustomControl: document.getElementById('animation-easing-custom-control'),
       pathTension: document.getElementById('path-tension'),
       pathTensionValue: document.getElementById('path-tension-value'),
+      pathAlpha: document.getElementById('path-alpha'),
+      pathMode: document.getElementById('path-mode'),
+      pathTolerance: document.getElementById('path-tolerance'),
+      pathToleranceValue: document.getElementById('path-tolerance-value'),
       waypointList: document.getElementById('waypoint-list'),
+      // Branch controls (shown while a branch is being edited)
+      branchControls: document.getElementById('branch-controls'),
+      branchMerge: document.getElementById('branch-merge'),
+      branchDone: document.getElementById('branch-done'),
+      branchDelete: document.getElementById('branch-delete'),
       // Waypoint editor controls
       waypointEditor: document.getElementById('waypoint-editor'),
       segmentColor: document.getElementById('segment-color'),
       segmentWidth: document.getElementById('segment-width'),
       segmentWidthValue: document.getElementById('segment-width-value'),
-      segmentStyle: document.getElementById('segment-style')
+      segmentStyle: document.getElementById('segment-style'),
+      waypointValue: document.getElementById('waypoint-value'),
+      waypointTension: document.getElementById('waypoint-tension'),
+      waypointTensionValue: document.getElementById('waypoint-tension-value'),
+      waypointContinuity: document.getElementById('waypoint-continuity'),
+      waypointContinuityValue: document.getElementById('waypoint-continuity-value'),
+      waypointBias: document.getElementById('waypoint-bias'),
+      waypointBiasValue: document.getElementById('waypoint-bias-value'),
+      waypointShapeReset: document.getElementById('waypoint-shape-reset'),
+      cornerType: document.getElementById('corner-type'),
+      cornerRadius: document.getElementById('corner-radius'),
+      cornerRadiusValue: document.getElementById('corner-radius-value'),
+      cornerRadiusControl: document.getElementById('corner-radius-control'),
+      splineControls: document.getElementById('spline-controls'),
+      bezierControls: document.getElementById('bezier-controls'),
+      handleMode: document.getElementById('handle-mode'),
+      // Per-leg timing controls (major waypoints only)
+      timingControls: document.getElementById('timing-controls'),
+      waypointLegTiming: document.getElementById('waypoint-leg-timing'),
+      waypointLegDuration: document.getElementById('waypoint-leg-duration'),
+      waypointLegDurationValue: document.getElementById('waypoint-leg-duration-value'),
+      waypointLegDurationControl: document.getElementById('waypoint-leg-duration-control'),
+      waypointLegSpeed: document.getElementById('waypoint-leg-speed'),
+      waypointLegSpeedValue: document.getElementById('waypoint-leg-speed-value'),
+      waypointLegSpeedControl: document.getElementById('waypoint-leg-speed-control'),
+      waypointDwell: document.getElementById('waypoint-dwell'),
+      waypointDwellValue: document.getElementById('waypoint-dwell-value'),
+      waypointEasing: document.getElementById('waypoint-easing'),
+      waypointEasingCustom: document.getElementById('waypoint-easing-custom'),
+      waypointEasingCustomControl: document.getElementById('waypoint-easing-custom-control'),
+      waypointCamera: document.getElementById('waypoint-camera'),
+      waypointCameraZoom: document.getElementById('waypoint-camera-zoom'),
+      waypointCameraZoomValue: document.getElementById('waypoint-camera-zoom-value'),
+      waypointCameraZoomControl: document.getElementById('waypoint-camera-zoom-control'),
+      waypointFork: document.getElementById('waypoint-fork')
     };
     
     this.init();
   }
   
+  // The route being edited; waypoint editing and per-route controls act on it
+  get activeRoute() {
+    return this.routes[this.activeRouteIndex];
+  }
+  
+  // Waypoints of the chain being edited: the active branch, or the main path
+  get waypoints() {
+    return this.activeBranch ? this.activeBranch.waypoints : this.activeRoute.waypoints;
+  }
+  
+  hasPath() {
+    return this.routes.some(route => route.tracks.some(track => track.pathGeometry));
+  }
+  
+  // Select a waypoint of the active route; its chain becomes the one being edited
+  selectWaypoint(waypoint) {
+    this.selectedWaypoint = waypoint;
+    if (waypoint) {
+      this.activeBranch = branchOf(this.activeRoute, waypoint);
+    }
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  // Start a branch at the selected (major) waypoint; clicks then extend it
+  forkBranch() {
+    if (!this.selectedWaypoint || !this.selectedWaypoint.isMajor) return;
+    
+    const branch = createBranch(this.selectedWaypoint);
+    this.activeRoute.branches.push(branch);
+    this.activeBranch = branch;
+    this.selectedWaypoint = null;
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  editBranch(branch) {
+    this.activeBranch = branch;
+    this.selectedWaypoint = null;
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  deleteBranch(branch = this.activeBranch) {
+    if (!branch) return;
+    
+    removeBranch(this.activeRoute, branch);
+    this.activeBranch = null;
+    this.selectedWaypoint = null;
+    this.animationState.waitingAt = null;
+    this.calculatePath();
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  selectRoute(index) {
+    this.activeRouteIndex = index;
+    this.activeBranch = null;
+    this.selectedWaypoint = null;
+    this.updateRouteControls();
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  addRoute() {
+    this.routes.push(createRoute(this.routes.length));
+    this.updateTimeline();
+    this.selectRoute(this.routes.length - 1);
+  }
+  
+  deleteRoute() {
+    if (this.routes.length === 1) {
+      // Always keep one route; deleting the last one just empties it
+      this.routes = [createRoute(0)];
+    } else {
+      this.routes.splice(this.activeRouteIndex, 1);
+    }
+    this.animationState.waitingAt = null;
+    this.updateTimeline();
+    this.selectRoute(Math.max(0, Math.min(this.activeRouteIndex, this.routes.length - 1)));
+  }
+  
+  // Show the active route's style and timing in the sidebar
+  updateRouteControls() {
+    const route = this.activeRoute;
+    
+    this.elements.routeSelect.innerHTML = '';
+    this.routes.forEach((r, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = r.name || `Route ${index + 1}`;
+      this.elements.routeSelect.appendChild(option);
+    });
+    this.elements.routeSelect.value = this.activeRouteIndex;
+    this.elements.routeName.value = route.name;
+    this.elements.routeOffset.value = route.startOffset / 1000;
+    this.elements.routeOffsetValue.textContent = route.startOffset / 1000 + 's';
+    
+    this.elements.pathColor.value = route.color;
+    this.elements.pathThickness.value = route.thickness;
+    this.elements.pathThicknessValue.textContent = route.thickness;
+    this.elements.pathWidthMode.value = route.widthMode;
+    
+    const head = route.head;
+    this.elements.headShape.value = head.shape;
+    this.elements.headControls.style.display = head.shape === 'none' ? 'none' : 'block';
+    this.elements.headIconControls.style.display = head.shape === 'icon' ? 'block' : 'none';
+    this.elements.headSize.value = head.size;
+    this.elements.headSizeValue.textContent = head.size;
+    this.elements.headEndSize.value = head.endSize;
+    this.elements.headEndSizeValue.textContent = head.endSize;
+    this.elements.headOrientation.value = head.orientation;
+    this.elements.headIconBtn.textContent = head.iconName || 'Choose Icon';
+    
+    const { mode: coloring, from, to, ramp, label } = route.coloring;
+    this.elements.pathColoring.value = coloring;
+    this.elements.gradientControls.style.display = coloring === 'gradient' ? 'block' : 'none';
+    this.elements.dataControls.style.display = coloring === 'data' ? 'block' : 'none';
+    this.elements.gradientFrom.value = from;
+    this.elements.gradientTo.value = to;
+    this.elements.colorRamp.value = ramp;
+    this.elements.dataLabel.value = label;
+    
+    const { mode, speed, duration, legDuration, easing } = route.timing;
+    this.elements.animationMode.value = mode;
+    this.elements.speedControl.style.display = mode === 'constant-speed' ? 'flex' : 'none';
+    this.elements.durationControl.style.display = mode === 'constant-time' ? 'flex' : 'none';
+    this.elements.legDurationControl.style.display = mode === 'constant-leg-time' ? 'flex' : 'none';
+    this.elements.animationSpeed.value = speed;
+    this.elements.animationSpeedValue.textContent = speed;
+    this.elements.animationDuration.value = duration / 1000;
+    this.elements.animationDurationValue.textContent = duration / 1000 + 's';
+    this.elements.legDuration.value = legDuration / 1000;
+    this.elements.legDurationValue.textContent = legDuration / 1000 + 's';
+    this.showEasing(this.elements.animationEasing, this.elements.animationEasingCustom,
+      this.elements.animationEasingCustomControl, easing);
+  }
+  
   init() {
     // Set up canvas size
     this.resizeCanvas();
+    this.blankSize = { width: this.canvas.width, height: this.canvas.height };
     window.addEventListener('resize', () => this.resizeCanvas());
     
     // Set up event listeners
     this.setupEventListeners();
+    this.updateRouteControls();
     
     // Show splash on first load
     if (localStorage.getItem('routePlotter_hideSplash') !== 'true') {
@@ -153,16 +425,145 @@ class RoutePlotter {
     this.canvas.height = rect.height;
   }
   
+  // The area waypoints live in: the base image, or the canvas without one
+  drawingBounds() {
+    return this.image
+      ? { x: 0, y: 0, width: this.image.naturalWidth, height: this.image.naturalHeight }
+      : { x: 0, y: 0, ...this.blankSize };
+  }
+  
+  // View of the whole drawing in the canvas, under the camera
+  baseView() {
+    const viewport = { width: this.canvas.width, height: this.canvas.height };
+    return fitView(this.imageFit, viewport, this.drawingBounds());
+  }
+  
+  handleImageFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const image = new Image();
+      image.onload = () => {
+        this.imageName = file.name;
+        this.imageData = e.target.result;
+        this.setImage(image);
+      };
+      image.onerror = () => alert(`${file.name} could not be loaded as an image`);
+      image.src = e.target.result;
+    };
+    reader.onerror = () => alert(`${file.name} could not be read`);
+    reader.readAsDataURL(file);
+  }
+  
+  // Switch to a new base image. Waypoints placed on the previous image (or the
+  // bare canvas) are moved into the new image's pixels so they stay on screen
+  // where they were.
+  setImage(image) {
+    const before = this.baseView();
+    this.image = image;
+    const after = this.baseView();
+    
+    const scale = before.zoom / after.zoom;
+    const scaleOffset = offset => offset && { x: offset.x * scale, y: offset.y * scale };
+    this.routes.forEach(route => {
+      allWaypoints(route).forEach(waypoint => {
+        waypoint.x = after.x + (waypoint.x - before.x) * scale;
+        waypoint.y = after.y + (waypoint.y - before.y) * scale;
+        waypoint.handleIn = scaleOffset(waypoint.handleIn);
+        waypoint.handleOut = scaleOffset(waypoint.handleOut);
+        waypoint.cornerRadius *= scale;
+      });
+    });
+    
+    this.view = null;
+    this.editView = null;
+    this.calculateAllPaths();
+    console.log(`Loaded base image ${this.imageName} (${image.naturalWidth}×${image.naturalHeight})`);
+  }
+  
+  // Use an uploaded PNG or SVG as the active route's head marker
+  handleHeadIconFile(file) {
+    const route = this.activeRoute;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const image = new Image();
+      image.onload = () => {
+        this.headIcons.set(e.target.result, image);
+        route.head.icon = e.target.result;
+        route.head.iconName = file.name;
+        route.head.shape = 'icon';
+        this.updateRouteControls();
+      };
+      image.onerror = () => alert(`${file.name} could not be loaded as an image`);
+      image.src = e.target.result;
+    };
+    reader.onerror = () => alert(`${file.name} could not be read`);
+    reader.readAsDataURL(file);
+  }
+  
+  // Image for a head icon's data URL, loaded on first use
+  headIcon(url) {
+    if (!url) return null;
+    if (!this.headIcons.has(url)) {
+      const image = new Image();
+      image.src = url;
+      this.headIcons.set(url, image);
+    }
+    return this.headIcons.get(url);
+  }
+  
   setupEventListeners() {
     // Canvas events for waypoint interaction
     this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
     this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
     this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+    this.canvas.addEventListener('mouseleave', (e) => this.handleMouseUp(e));
     this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
     
+    // Editing view: the wheel (and trackpad pinch) zooms, two fingers pinch and pan
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.canvas.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: false });
+    this.canvas.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: false });
+    this.canvas.addEventListener('touchend', (e) => this.handleTouch(e));
+    
+    // Base image: upload or drag and drop onto the canvas
+    this.canvas.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.canvas.classList.add('drag-over');
+    });
+    this.canvas.addEventListener('dragleave', () => this.canvas.classList.remove('drag-over'));
+    this.canvas.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.canvas.classList.remove('drag-over');
+      const file = e.dataTransfer.files[0];
+      if (file && file.type.startsWith('image/')) {
+        this.handleImageFile(file);
+      }
+    });
+    
+    this.elements.imageInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.handleImageFile(e.target.files[0]);
+      }
+      e.target.value = ''; // Allow loading the same file again
+    });
+    
+    this.elements.imageFit.addEventListener('change', (e) => {
+      this.imageFit = e.target.value;
+    });
+    
     // Header controls
     this.elements.helpBtn.addEventListener('click', () => this.showSplash());
     this.elements.clearBtn.addEventListener('click', () => this.clearAll());
+    this.elements.exportBtn.addEventListener('click', () => this.exportVideo());
+    this.elements.imageBtn.addEventListener('click', () => this.elements.imageInput.click());
+    this.elements.saveBtn.addEventListener('click', () => this.saveProject());
+    this.elements.openBtn.addEventListener('click', () => this.elements.projectInput.click());
+    this.elements.projectInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.openProject(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
     
     // Transport controls
     this.elements.playBtn.addEventListener('click', () => this.play());
@@ -173,17 +574,114 @@ class RoutePlotter {
     // Timeline slider
     this.elements.timelineSlider.addEventListener('input', (e) => {
       this.animationState.progress = e.target.value / 100;
-      this.animationState.currentTime = this.animationState.progress * this.animationState.duration;
+      this.animationState.waitingAt = null;
+      this.animationState.currentTime = this.clock.snap(this.animationState.progress * this.animationState.duration, this.animationState.duration);
+      this.updateTimeDisplay();
+    });
+    
+    // Route controls
+    this.elements.routeSelect.addEventListener('change', (e) => {
+      this.selectRoute(parseInt(e.target.value));
+    });
+    
+    this.elements.routeName.addEventListener('input', (e) => {
+      this.activeRoute.name = e.target.value;
+      this.elements.routeSelect.options[this.activeRouteIndex].textContent = e.target.value || `Route ${this.activeRouteIndex + 1}`;
+    });
+    
+    this.elements.routeAdd.addEventListener('click', () => this.addRoute());
+    this.elements.routeDelete.addEventListener('click', () => this.deleteRoute());
+    
+    this.elements.routeArrangement.addEventListener('change', (e) => {
+      this.animationState.arrangement = e.target.value;
+      this.elements.routeOffsetControl.style.display = e.target.value === 'staggered' ? 'flex' : 'none';
+      this.animationState.waitingAt = null;
+      this.updateTimeline();
     });
     
-    // Style controls
+    this.elements.routeOffset.addEventListener('input', (e) => {
+      this.activeRoute.startOffset = parseFloat(e.target.value) * 1000;
+      this.elements.routeOffsetValue.textContent = e.target.value + 's';
+      this.updateTimeline();
+    });
+    
+    // Style controls (for the active route). Segments still using the route's
+    // color or width follow it; individually styled segments keep theirs.
     this.elements.pathColor.addEventListener('input', (e) => {
-      this.styles.pathColor = e.target.value;
+      const route = this.activeRoute;
+      allWaypoints(route).forEach(waypoint => {
+        if (waypoint.segmentColor === route.color) waypoint.segmentColor = e.target.value;
+      });
+      route.color = e.target.value;
+      this.updateWaypointEditor();
     });
     
     this.elements.pathThickness.addEventListener('input', (e) => {
-      this.styles.pathThickness = parseFloat(e.target.value);
+      const route = this.activeRoute;
+      const thickness = parseFloat(e.target.value);
+      allWaypoints(route).forEach(waypoint => {
+        if (waypoint.segmentWidth === route.thickness) waypoint.segmentWidth = thickness;
+      });
+      route.thickness = thickness;
       this.elements.pathThicknessValue.textContent = e.target.value;
+      this.updateWaypointEditor();
+    });
+    
+    this.elements.pathWidthMode.addEventListener('change', (e) => {
+      this.activeRoute.widthMode = e.target.value;
+    });
+    
+    // Head marker (per route, see heads.js)
+    this.elements.headShape.addEventListener('change', (e) => {
+      this.activeRoute.head.shape = e.target.value;
+      this.updateRouteControls();
+    });
+    
+    this.elements.headSize.addEventListener('input', (e) => {
+      const head = this.activeRoute.head;
+      const size = parseFloat(e.target.value);
+      if (head.endSize === head.size) head.endSize = size; // a constant size stays constant
+      head.size = size;
+      this.updateRouteControls();
+    });
+    
+    this.elements.headEndSize.addEventListener('input', (e) => {
+      this.activeRoute.head.endSize = parseFloat(e.target.value);
+      this.elements.headEndSizeValue.textContent = e.target.value;
+    });
+    
+    this.elements.headOrientation.addEventListener('change', (e) => {
+      this.activeRoute.head.orientation = e.target.value;
+    });
+    
+    this.elements.headIconBtn.addEventListener('click', () => this.elements.headIconInput.click());
+    this.elements.headIconInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.handleHeadIconFile(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    // Path coloring (per route, see coloring.js)
+    this.elements.pathColoring.addEventListener('change', (e) => {
+      this.activeRoute.coloring.mode = e.target.value;
+      this.updateRouteControls();
+    });
+    
+    this.elements.gradientFrom.addEventListener('input', (e) => {
+      this.activeRoute.coloring.from = e.target.value;
+    });
+    
+    this.elements.gradientTo.addEventListener('input', (e) => {
+      this.activeRoute.coloring.to = e.target.value;
+    });
+    
+    this.elements.colorRamp.addEventListener('change', (e) => {
+      this.activeRoute.coloring.ramp = e.target.value;
+    });
+    
+    this.elements.dataLabel.addEventListener('input', (e) => {
+      this.activeRoute.coloring.label = e.target.value;
     });
     
     this.elements.waypointSize.addEventListener('input', (e) => {
@@ -193,13 +691,49 @@ class RoutePlotter {
     
     this.elements.beaconStyle.addEventListener('change', (e) => {
       this.styles.beaconStyle = e.target.value;
-      this.beaconAnimation.ripples = []; // Clear ripples when changing style
     });
     
     this.elements.beaconColor.addEventListener('input', (e) => {
       this.styles.beaconColor = e.target.value;
     });
     
+    // Camera controls
+    this.elements.cameraMode.addEventListener('change', (e) => {
+      this.camera.mode = e.target.value;
+      this.elements.cameraZoomControl.style.display = e.target.value === 'follow' ? 'flex' : 'none';
+      this.elements.cameraMarginControl.style.display = e.target.value === 'off' ? 'none' : 'flex';
+    });
+    
+    this.elements.cameraZoom.addEventListener('input', (e) => {
+      this.camera.zoom = parseFloat(e.target.value);
+      this.elements.cameraZoomValue.textContent = e.target.value + '×';
+    });
+    
+    this.elements.cameraMargin.addEventListener('input', (e) => {
+      this.camera.margin = parseFloat(e.target.value);
+      this.elements.cameraMarginValue.textContent = e.target.value + 'px';
+    });
+    
+    // Snapping controls
+    this.elements.snapGrid.addEventListener('change', (e) => {
+      this.snapping.grid = parseFloat(e.target.value);
+    });
+    
+    this.elements.snapAlign.addEventListener('change', (e) => {
+      this.snapping.align = e.target.value;
+    });
+    
+    // Freehand trace controls
+    this.elements.drawMode.addEventListener('change', (e) => {
+      this.drawMode = e.target.value;
+      this.elements.traceToleranceControl.style.display = e.target.value === 'trace' ? 'flex' : 'none';
+    });
+    
+    this.elements.traceTolerance.addEventListener('input', (e) => {
+      this.traceTolerance = parseFloat(e.target.value);
+      this.elements.traceToleranceValue.textContent = e.target.value + 'px';
+    });
+    
     // Waypoint editor controls
     this.elements.segmentColor.addEventListener('input', (e) => {
       if (this.selectedWaypoint) {
@@ -223,6 +757,156 @@ class RoutePlotter {
       }
     });
     
+    this.elements.waypointValue.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        const value = parseFloat(e.target.value);
+        this.selectedWaypoint.value = Number.isFinite(value) ? value : null;
+      }
+    });
+    
+    // Per-waypoint curve shape (Kochanek–Bartels)
+    this.elements.waypointTension.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.tension = parseInt(e.target.value) / 100;
+        this.updateWaypointEditor();
+        this.calculatePath();
+      }
+    });
+    
+    this.elements.waypointContinuity.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.continuity = parseFloat(e.target.value);
+        this.updateWaypointEditor();
+        this.calculatePath();
+      }
+    });
+    
+    this.elements.waypointBias.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.bias = parseFloat(e.target.value);
+        this.updateWaypointEditor();
+        this.calculatePath();
+      }
+    });
+    
+    // Bézier handle mode
+    this.elements.handleMode.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.handleMode = e.target.value;
+        CubicBezier.constrainHandles(this.selectedWaypoint, 'out');
+        this.calculatePath();
+      }
+    });
+    
+    // Per-leg timing: the selected major waypoint controls the leg leading into it
+    this.elements.waypointLegTiming.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        const waypoint = this.selectedWaypoint;
+        waypoint.legDuration = e.target.value === 'duration' ? parseFloat(this.elements.waypointLegDuration.value) : null;
+        waypoint.legSpeed = e.target.value === 'speed' ? parseFloat(this.elements.waypointLegSpeed.value) : null;
+        this.updateWaypointEditor();
+        this.updateTimeline();
+      }
+    });
+    
+    this.elements.waypointLegDuration.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.legDuration = parseFloat(e.target.value);
+        this.elements.waypointLegDurationValue.textContent = e.target.value + 's';
+        this.updateTimeline();
+      }
+    });
+    
+    this.elements.waypointLegSpeed.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.legSpeed = parseFloat(e.target.value);
+        this.elements.waypointLegSpeedValue.textContent = e.target.value;
+        this.updateTimeline();
+      }
+    });
+    
+    this.elements.waypointDwell.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.dwell = parseFloat(e.target.value);
+        this.elements.waypointDwellValue.textContent = e.target.value + 's';
+        this.updateTimeline();
+      }
+    });
+    
+    // Camera keyframe on the selected major waypoint
+    this.elements.waypointCamera.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.cameraZoom = e.target.value === 'keyframe' ? parseFloat(this.elements.waypointCameraZoom.value) : null;
+        this.updateWaypointEditor();
+        this.updateTimeline();
+      }
+    });
+    
+    this.elements.waypointCameraZoom.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.cameraZoom = parseFloat(e.target.value);
+        this.elements.waypointCameraZoomValue.textContent = e.target.value + '×';
+        this.updateTimeline();
+      }
+    });
+    
+    this.populateEasingSelect(this.elements.waypointEasing, true);
+    const updateWaypointEasing = () => {
+      if (this.selectedWaypoint) {
+        const isCustom = this.elements.waypointEasing.value === 'custom';
+        this.elements.waypointEasingCustomControl.style.display = isCustom ? 'flex' : 'none';
+        const easing = this.readEasing(this.elements.waypointEasing, this.elements.waypointEasingCustom);
+        if (easing !== undefined) {
+          this.selectedWaypoint.easing = easing;
+          this.updateTimeline();
+        }
+      }
+    };
+    this.elements.waypointEasing.addEventListener('change', updateWaypointEasing);
+    this.elements.waypointEasingCustom.addEventListener('input', updateWaypointEasing);
+    
+    // Per-waypoint corner type
+    this.elements.cornerType.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.cornerType = e.target.value;
+        this.updateWaypointEditor();
+        this.calculatePath();
+      }
+    });
+    
+    this.elements.cornerRadius.addEventListener('input', (e) => {
+      if (this.selectedWaypoint) {
+        this.selectedWaypoint.cornerRadius = parseFloat(e.target.value);
+        this.elements.cornerRadiusValue.textContent = e.target.value;
+        this.calculatePath();
+      }
+    });
+    
+    this.elements.waypointShapeReset.addEventListener('click', () => {
+      if (this.selectedWaypoint) {
+        // Unset values fall back to the global tension and a plain Catmull-Rom curve
+        this.selectedWaypoint.tension = null;
+        this.selectedWaypoint.continuity = null;
+        this.selectedWaypoint.bias = null;
+        this.updateWaypointEditor();
+        this.calculatePath();
+      }
+    });
+    
+    // Branches
+    this.elements.waypointFork.addEventListener('click', () => this.forkBranch());
+    this.elements.branchDone.addEventListener('click', () => this.editBranch(null));
+    this.elements.branchDelete.addEventListener('click', () => this.deleteBranch());
+    
+    this.elements.branchMerge.addEventListener('change', (e) => {
+      if (this.activeBranch) {
+        const waypoints = allWaypoints(this.activeRoute);
+        this.activeBranch.merge = e.target.value === '' ? null : waypoints[parseInt(e.target.value)];
+        this.calculatePath();
+        this.updateWaypointList();
+      }
+    });
+    
     // Splash screen
     this.elements.splashClose.addEventListener('click', () => this.hideSplash());
     this.elements.splash.addEventListener('click', (e) => {
@@ -231,57 +915,147 @@ class RoutePlotter {
       }
     });
     
-    // Animation mode toggle
+    // Animation mode toggle (timing is per route)
     this.elements.animationMode.addEventListener('change', (e) => {
-      this.animationState.mode = e.target.value;
-      if (e.target.value === 'constant-speed') {
-        this.elements.speedControl.style.display = 'flex';
-        this.elements.durationControl.style.display = 'none';
-      } else {
-        this.elements.speedControl.style.display = 'none';
-        this.elements.durationControl.style.display = 'flex';
-      }
-      this.calculatePath();
+      this.activeRoute.timing.mode = e.target.value;
+      this.updateRouteControls();
+      this.updateTimeline();
     });
     
     // Animation speed/duration controls
     this.elements.animationSpeed.addEventListener('input', (e) => {
-      this.animationState.speed = parseInt(e.target.value);
+      this.activeRoute.timing.speed = parseInt(e.target.value);
       this.elements.animationSpeedValue.textContent = e.target.value;
-      if (this.animationState.mode === 'constant-speed') {
-        this.calculatePath();
-      }
+      this.updateTimeline();
     });
     
     this.elements.animationDuration.addEventListener('input', (e) => {
-      this.animationState.duration = parseFloat(e.target.value) * 1000;
+      this.activeRoute.timing.duration = parseFloat(e.target.value) * 1000;
       this.elements.animationDurationValue.textContent = e.target.value + 's';
-      this.updateTimeDisplay();
+      this.updateTimeline();
+    });
+    
+    this.elements.legDuration.addEventListener('input', (e) => {
+      this.activeRoute.timing.legDuration = parseFloat(e.target.value) * 1000;
+      this.elements.legDurationValue.textContent = e.target.value + 's';
+      this.updateTimeline();
+    });
+    
+    this.elements.playbackMode.addEventListener('change', (e) => {
+      this.animationState.playbackMode = e.target.value;
+      this.animationState.waitingAt = null;
+      this.updateTimeline();
     });
     
+    // Pauses at major waypoints
+    this.elements.pauseMode.addEventListener('change', (e) => {
+      this.animationState.pauseMode = e.target.value;
+      this.elements.pauseDurationControl.style.display = e.target.value === 'timed' ? 'flex' : 'none';
+      this.elements.holdDurationControl.style.display = e.target.value === 'click' ? 'flex' : 'none';
+      this.animationState.waitingAt = null;
+      this.updateTimeline();
+    });
+    
+    this.elements.pauseDuration.addEventListener('input', (e) => {
+      this.animationState.pauseDuration = parseFloat(e.target.value) * 1000;
+      this.elements.pauseDurationValue.textContent = e.target.value + 's';
+      this.updateTimeline();
+    });
+    
+    this.elements.holdDuration.addEventListener('input', (e) => {
+      this.animationState.holdDuration = parseFloat(e.target.value) * 1000;
+      this.elements.holdDurationValue.textContent = e.target.value + 's';
+      this.animationState.waitingAt = null;
+      this.updateTimeline();
+    });
+    
+    // The embedding page (or this page, when not embedded) can advance a
+    // click-to-continue hold; other frames and openers are ignored
+    window.addEventListener('message', (e) => {
+      if (e.source !== window.parent) return;
+      if (e.data === 'next' || e.data?.type === 'next') {
+        this.continuePlayback();
+      }
+    });
+    
+    this.elements.frameRate.addEventListener('change', (e) => {
+      this.clock.setFrameRate(parseInt(e.target.value));
+      this.updateTimeline();
+    });
+    
+    // Motion defaults to the system's reduced-motion preference
+    this.elements.motionMode.value = this.animationState.reducedMotion ? 'reduced' : 'full';
+    this.elements.motionMode.addEventListener('change', (e) => {
+      this.animationState.reducedMotion = e.target.value === 'reduced';
+    });
+    
+    // Route easing, used by every leg without its own
+    this.populateEasingSelect(this.elements.animationEasing, false);
+    const updateAnimationEasing = () => {
+      const isCustom = this.elements.animationEasing.value === 'custom';
+      this.elements.animationEasingCustomControl.style.display = isCustom ? 'flex' : 'none';
+      const easing = this.readEasing(this.elements.animationEasing, this.elements.animationEasingCustom);
+      if (easing !== undefined) {
+        this.activeRoute.timing.easing = easing;
+        this.updateTimeline();
+      }
+    };
+    this.elements.animationEasing.addEventListener('change', updateAnimationEasing);
+    this.elements.animationEasingCustom.addEventListener('input', updateAnimationEasing);
+    
     // Path tension control
     this.elements.pathTension.addEventListener('input', (e) => {
       this.styles.pathTension = parseInt(e.target.value) / 100;
       this.elements.pathTensionValue.textContent = e.target.value + '%';
-      this.calculatePath();
+      this.updateWaypointEditor(); // Waypoints without their own tension follow this value
+      this.calculateAllPaths();
+    });
+    
+    // Curve parameterization control
+    this.elements.pathAlpha.addEventListener('change', (e) => {
+      this.styles.pathAlpha = parseFloat(e.target.value);
+      this.calculateAllPaths();
+    });
+    
+    // Path mode (Catmull-Rom / Bézier) control
+    this.elements.pathMode.addEventListener('change', (e) => {
+      this.setPathMode(e.target.value);
+    });
+    
+    // Curve sampling tolerance control
+    this.elements.pathTolerance.addEventListener('input', (e) => {
+      this.styles.pathTolerance = parseFloat(e.target.value);
+      this.elements.pathToleranceValue.textContent = e.target.value + 'px';
+      this.calculateAllPaths();
     });
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      // Leave typing in text fields alone
+      if (e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+      
       const nudgeAmount = e.shiftKey ? 0.05 : 0.01; // 5% or 1%
-      const canvasWidth = this.canvas.width;
-      const canvasHeight = this.canvas.height;
+      const { width: canvasWidth, height: canvasHeight } = this.drawingBounds();
       
       switch(e.code) {
         case 'Space':
           e.preventDefault();
-          if (this.animationState.isPlaying) {
+          if (this.animationState.waitingAt) {
+            this.continuePlayback();
+          } else if (this.animationState.isPlaying) {
             this.pause();
           } else {
             this.play();
           }
           break;
           
+        case 'PageDown': // Presentation clickers send PageDown for "next"
+          if (this.animationState.waitingAt) {
+            e.preventDefault();
+            this.continuePlayback();
+          }
+          break;
+          
         case 'KeyJ': // 0.5x speed
           this.animationState.playbackSpeed = 0.5;
           break;
@@ -330,11 +1104,31 @@ class RoutePlotter {
           }
           break;
           
+        case 'Delete': // Minor waypoints aren't in the list, so this is how they go
+        case 'Backspace':
+          if (this.selectedWaypoint) {
+            e.preventDefault();
+            this.deleteWaypoint(this.selectedWaypoint);
+          }
+          break;
+          
+        case 'Digit0': // Show the whole drawing
+          this.editView = null;
+          break;
+          
+        case 'Equal': // Zoom the editing view in/out about the canvas center
+        case 'Minus':
+          this.zoomEditView(e.code === 'Equal' ? 1.25 : 0.8, this.canvas.width / 2, this.canvas.height / 2);
+          break;
+          
         case 'Escape':
           if (this.isDragging) {
             this.isDragging = false;
+            this.draggedHandle = null;
+            this.snapGuides = [];
             this.canvas.classList.remove('dragging');
           }
+          this.traceStroke = null;
           this.selectedWaypoint = null;
           this.updateWaypointList();
           this.updateWaypointEditor();
@@ -343,34 +1137,263 @@ class RoutePlotter {
     });
   }
   
-  handleMouseDown(event) {
+  // Canvas pixel under the mouse (or a touch)
+  mousePosition(event) {
     const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+  
+  // Point on the drawing under the mouse, through the view of the last frame
+  canvasPoint(event) {
+    const { x, y } = this.mousePosition(event);
+    if (!this.view) return { x, y };
+    
+    return {
+      x: this.view.x + (x - this.canvas.width / 2) / this.view.zoom,
+      y: this.view.y + (y - this.canvas.height / 2) / this.view.zoom
+    };
+  }
+  
+  // Canvas position of a point on the drawing, through the view of the last frame
+  screenPoint(point) {
+    if (!this.view) return point;
+    
+    return {
+      x: this.canvas.width / 2 + (point.x - this.view.x) * this.view.zoom,
+      y: this.canvas.height / 2 + (point.y - this.view.y) * this.view.zoom
+    };
+  }
+  
+  // View the canvas shows while editing
+  editingView() {
+    const base = this.baseView();
+    if (!this.editView) return base;
+    return { x: this.editView.x, y: this.editView.y, zoom: base.zoom * this.editView.zoom };
+  }
+  
+  // Whether the base view leaves part of the drawing off the canvas (cover or
+  // native fit), so there is somewhere to pan to without zooming in
+  baseViewCrops() {
+    const base = this.baseView();
+    const bounds = this.drawingBounds();
+    return bounds.width * base.zoom > this.canvas.width + 0.5 || bounds.height * base.zoom > this.canvas.height + 0.5;
+  }
+  
+  // Set the editing view, keeping its center on the drawing; zooming all the
+  // way out goes back to the base view, unless that crops the drawing
+  setEditView(x, y, zoom) {
+    const bounds = this.drawingBounds();
+    zoom = Math.max(1, Math.min(MAX_EDIT_ZOOM, zoom));
+    this.editView = zoom <= 1 && !this.baseViewCrops() ? null : {
+      x: Math.max(bounds.x, Math.min(bounds.x + bounds.width, x)),
+      y: Math.max(bounds.y, Math.min(bounds.y + bounds.height, y)),
+      zoom
+    };
+  }
+  
+  // Zoom the editing view by `factor`, keeping the drawing under canvas
+  // position (sx, sy) in place
+  zoomEditView(factor, sx, sy) {
+    const view = this.editingView();
+    const relative = Math.max(1, Math.min(MAX_EDIT_ZOOM, (this.editView ? this.editView.zoom : 1) * factor));
+    const zoom = this.baseView().zoom * relative;
+    const offsetX = sx - this.canvas.width / 2;
+    const offsetY = sy - this.canvas.height / 2;
+    this.setEditView(
+      view.x + offsetX / view.zoom - offsetX / zoom,
+      view.y + offsetY / view.zoom - offsetY / zoom,
+      relative
+    );
+  }
+  
+  // Whether there is more of the drawing than the editing view shows
+  canPanEditView() {
+    return !!this.editView || this.baseViewCrops();
+  }
+  
+  // Move the editing view so the drawing follows a drag of (dx, dy) canvas pixels
+  panEditView(dx, dy) {
+    if (!this.canPanEditView()) return;
+    const view = this.editingView();
+    this.setEditView(view.x - dx / view.zoom, view.y - dy / view.zoom, this.editView ? this.editView.zoom : 1);
+  }
+  
+  handleWheel(event) {
+    if (this.animationState.isPlaying) return;
+    event.preventDefault();
+    
+    // Trackpad pinches arrive as ctrl+wheel with small deltas; some mice scroll by lines
+    const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    const { x, y } = this.mousePosition(event);
+    this.zoomEditView(Math.exp(-delta * (event.ctrlKey ? 0.01 : 0.0015)), x, y);
+  }
+  
+  handleTouch(event) {
+    if (event.touches.length !== 2 || this.animationState.isPlaying) {
+      this.pinch = null;
+      return;
+    }
+    event.preventDefault();
+    
+    const [a, b] = [...event.touches].map(touch => this.mousePosition(touch));
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    if (this.pinch && this.pinch.distance > 0) {
+      this.zoomEditView(distance / this.pinch.distance, center.x, center.y);
+      this.panEditView(center.x - this.pinch.center.x, center.y - this.pinch.center.y);
+    }
+    this.pinch = { center, distance };
+  }
+  
+  // Whether canvas position `position` is on the minimap
+  isOnMinimap(position) {
+    const rect = this.minimapRect;
+    return !!rect && position.x >= rect.x && position.x <= rect.x + rect.width &&
+      position.y >= rect.y && position.y <= rect.y + rect.height;
+  }
+  
+  // Center the editing view on the drawing point under `position` on the minimap
+  centerOnMinimap(position) {
+    const rect = this.minimapRect;
+    const bounds = this.drawingBounds();
+    this.setEditView(
+      bounds.x + (position.x - rect.x) / rect.scale,
+      bounds.y + (position.y - rect.y) / rect.scale,
+      this.editView ? this.editView.zoom : 1
+    );
+  }
+  
+  // Snapped position for `waypoint` moved to drawing point (x, y), or for a new
+  // waypoint on the chain being edited when `waypoint` is null. Ctrl on `event`
+  // snaps to 45° from the waypoint before it.
+  snapWaypoint(x, y, waypoint, event) {
+    let anchor;
+    if (waypoint) {
+      const route = this.routes.find(candidate => allWaypoints(candidate).includes(waypoint));
+      const branch = branchOf(route, waypoint);
+      const chain = branch ? branch.waypoints : route.waypoints;
+      const index = chain.indexOf(waypoint);
+      anchor = index > 0 ? chain[index - 1] : branch && branch.fork;
+    } else {
+      anchor = this.waypoints[this.waypoints.length - 1] || (this.activeBranch && this.activeBranch.fork);
+    }
+    
+    const align = this.snapping.align === 'waypoints'
+      ? this.routes.flatMap(route => allWaypoints(route)).filter(other => other !== waypoint)
+      : [];
+    return snapPoint({ x, y }, {
+      grid: this.snapping.grid,
+      align,
+      threshold: SNAP_DISTANCE / (this.view ? this.view.zoom : 1),
+      anchor,
+      angle: event.ctrlKey
+    });
+  }
+  
+  handleMouseDown(event) {
+    // While waiting at a hold, a click only continues playback
+    if (this.animationState.waitingAt) return;
+    
+    this.hasDragged = false;
+    
+    // The minimap sits over the drawing; clicking or dragging on it moves the view
+    const position = this.mousePosition(event);
+    if (this.isOnMinimap(position)) {
+      this.isMinimapDragging = true;
+      this.hasDragged = true; // so the click doesn't add a waypoint
+      this.centerOnMinimap(position);
+      event.preventDefault();
+      return;
+    }
+    
+    const { x, y } = this.canvasPoint(event);
+    
+    // Bézier handles sit on top of waypoints, so check them first
+    const clickedHandle = this.findHandleAt(x, y);
+    if (clickedHandle) {
+      this.selectWaypoint(clickedHandle.waypoint);
+      this.draggedHandle = clickedHandle.handle;
+      this.isDragging = true;
+      this.hasDragged = false;
+      const handle = clickedHandle.handle === 'in' ? clickedHandle.waypoint.handleIn : clickedHandle.waypoint.handleOut;
+      this.dragOffset.x = x - (clickedHandle.waypoint.x + handle.x);
+      this.dragOffset.y = y - (clickedHandle.waypoint.y + handle.y);
+      this.canvas.classList.add('dragging');
+      event.preventDefault();
+      return;
+    }
     
     // Check if clicking on existing waypoint
     const clickedWaypoint = this.findWaypointAt(x, y);
     
     if (clickedWaypoint) {
-      this.selectedWaypoint = clickedWaypoint;
+      this.selectWaypoint(clickedWaypoint);
       this.isDragging = true;
       this.hasDragged = false; // Reset drag flag
       this.dragOffset.x = x - clickedWaypoint.x;
       this.dragOffset.y = y - clickedWaypoint.y;
       this.canvas.classList.add('dragging');
-      this.updateWaypointList();
       event.preventDefault();
+    } else if (this.drawMode === 'trace' && !this.animationState.isPlaying) {
+      // In trace mode dragging empty space draws a stroke instead
+      this.traceStroke = [{ x, y }];
+      event.preventDefault();
+    } else if (this.canPanEditView() && !this.animationState.isPlaying) {
+      // Dragging empty space pans the view; a click still adds a waypoint
+      this.panStart = position;
     }
   }
   
   handleMouseMove(event) {
+    if (this.isMinimapDragging) {
+      this.centerOnMinimap(this.mousePosition(event));
+      return;
+    }
+    
+    if (this.traceStroke) {
+      const point = this.canvasPoint(event);
+      const zoom = this.view ? this.view.zoom : 1;
+      const first = this.traceStroke[0];
+      const last = this.traceStroke[this.traceStroke.length - 1];
+      if (!this.hasDragged && Math.hypot(point.x - first.x, point.y - first.y) * zoom < DRAG_THRESHOLD) return;
+      
+      this.hasDragged = true;
+      if (Math.hypot(point.x - last.x, point.y - last.y) * zoom >= 1) {
+        this.traceStroke.push(point);
+      }
+      return;
+    }
+    
+    if (this.panStart) {
+      const position = this.mousePosition(event);
+      const dx = position.x - this.panStart.x;
+      const dy = position.y - this.panStart.y;
+      if (!this.hasDragged && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      
+      this.hasDragged = true;
+      this.canvas.classList.add('dragging');
+      this.panEditView(dx, dy);
+      this.panStart = position;
+      return;
+    }
+    
     if (this.isDragging && this.selectedWaypoint) {
-      const rect = this.canvas.getBoundingClientRect();
-      const x = event.clientX - rect.left;
-      const y = event.clientY - rect.top;
+      const { x, y } = this.canvasPoint(event);
       
-      this.selectedWaypoint.x = x - this.dragOffset.x;
-      this.selectedWaypoint.y = y - this.dragOffset.y;
+      if (this.draggedHandle) {
+        // Handles are stored relative to their waypoint
+        const key = this.draggedHandle === 'in' ? 'handleIn' : 'handleOut';
+        this.selectedWaypoint[key] = {
+          x: x - this.dragOffset.x - this.selectedWaypoint.x,
+          y: y - this.dragOffset.y - this.selectedWaypoint.y
+        };
+        CubicBezier.constrainHandles(this.selectedWaypoint, this.draggedHandle);
+      } else {
+        const snapped = this.snapWaypoint(x - this.dragOffset.x, y - this.dragOffset.y, this.selectedWaypoint, event);
+        this.selectedWaypoint.x = snapped.x;
+        this.selectedWaypoint.y = snapped.y;
+        this.snapGuides = snapped.guides;
+      }
       this.hasDragged = true; // Mark that actual dragging occurred
       
       this.calculatePath();
@@ -378,30 +1401,75 @@ class RoutePlotter {
   }
   
   handleMouseUp(event) {
+    if (this.traceStroke) {
+      if (this.hasDragged) {
+        this.finishTrace();
+      }
+      this.traceStroke = null;
+    }
+    
+    if (this.panStart || this.isMinimapDragging) {
+      this.panStart = null;
+      this.isMinimapDragging = false;
+      this.canvas.classList.remove('dragging');
+    }
+    
     if (this.isDragging) {
       this.isDragging = false;
+      this.draggedHandle = null;
+      this.snapGuides = [];
       this.canvas.classList.remove('dragging');
       this.updateWaypointList();
     }
   }
   
+  // Turn the traced stroke into waypoints on the chain being edited: the stroke
+  // is simplified within the trace tolerance, with major waypoints at its ends
+  // and minor ones where it bends
+  finishTrace() {
+    const tolerance = this.traceTolerance / (this.view ? this.view.zoom : 1);
+    const points = simplifyPolyline(this.traceStroke, tolerance);
+    if (points.length < 2) return;
+    
+    points.forEach((point, index) => {
+      const isEnd = index === 0 || index === points.length - 1;
+      this.waypoints.push(createWaypoint(this.activeRoute, point.x, point.y, isEnd));
+    });
+    
+    if (this.styles.pathMode === 'bezier') {
+      this.ensureBezierHandles();
+    }
+    
+    this.calculatePath();
+    this.updateWaypointList();
+    console.log(`Traced ${points.length} waypoints from a stroke of ${this.traceStroke.length} points`);
+  }
+  
   handleCanvasClick(event) {
+    if (this.animationState.waitingAt) {
+      this.continuePlayback();
+      return;
+    }
+    
     // Don't add waypoint if we actually dragged
     if (this.hasDragged) {
       this.hasDragged = false; // Reset for next time
       return;
     }
     
-    const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
+    const { x, y } = this.canvasPoint(event);
+    
+    // Clicking a Bézier handle only selects its waypoint
+    const clickedHandle = this.findHandleAt(x, y);
+    if (clickedHandle) {
+      this.selectWaypoint(clickedHandle.waypoint);
+      return;
+    }
     
     // Check if clicking on existing waypoint for selection
     const clickedWaypoint = this.findWaypointAt(x, y);
     if (clickedWaypoint) {
-      this.selectedWaypoint = clickedWaypoint;
-      this.updateWaypointList();
-      this.updateWaypointEditor();
+      this.selectWaypoint(clickedWaypoint);
       return;
     }
     
@@ -409,67 +1477,195 @@ class RoutePlotter {
     const isMajor = !event.shiftKey;
     
     // Add waypoint with default styling
-    this.waypoints.push({
-      x,
-      y,
-      isMajor,
-      id: Date.now(), // Unique ID for list management
-      // Segment styling (from this waypoint to next)
-      segmentColor: this.styles.pathColor,
-      segmentWidth: this.styles.pathThickness,
-      segmentStyle: 'solid'
-    });
-    
-    // Recalculate path if we have enough waypoints
-    if (this.waypoints.length >= 2) {
+    const snapped = this.snapWaypoint(x, y, null, event);
+    this.waypoints.push(createWaypoint(this.activeRoute, snapped.x, snapped.y, isMajor));
+    
+    if (this.styles.pathMode === 'bezier') {
+      this.ensureBezierHandles();
+    }
+    
+    // Recalculate path if we have enough waypoints (a branch starts at its fork)
+    if (this.waypoints.length >= (this.activeBranch ? 1 : 2)) {
       this.calculatePath();
     }
     
     this.updateWaypointList();
-    console.log(`Added ${isMajor ? 'major' : 'minor'} waypoint at (${x.toFixed(0)}, ${y.toFixed(0)})`);
+    console.log(`Added ${isMajor ? 'major' : 'minor'} waypoint at (${snapped.x.toFixed(0)}, ${snapped.y.toFixed(0)})`);
+  }
+  
+  findHandleAt(x, y) {
+    if (this.styles.pathMode !== 'bezier') return null;
+    
+    const threshold = 8 / (this.view ? this.view.zoom : 1); // screen pixels
+    for (const waypoint of allWaypoints(this.activeRoute)) {
+      for (const handle of ['in', 'out']) {
+        const offset = handle === 'in' ? waypoint.handleIn : waypoint.handleOut;
+        if (offset && Math.hypot(waypoint.x + offset.x - x, waypoint.y + offset.y - y) <= threshold) {
+          return { waypoint, handle };
+        }
+      }
+    }
+    return null;
+  }
+  
+  // Switch between Catmull-Rom and Bézier editing, converting the curve so it
+  // looks the same in the new mode
+  setPathMode(mode) {
+    if (mode === this.styles.pathMode) return;
+    
+    // Each waypoint is converted along the chain it belongs to; a branch's
+    // fork and merge waypoints are converted with their own chain
+    this.routes.forEach(route => {
+      routeChains(route).forEach(({ branch, waypoints }) => {
+        const values = mode === 'bezier'
+          ? CubicBezier.handlesFromSpline(waypoints, this.styles.pathTension, this.styles.pathAlpha)
+          : KochanekBartels.fitHandles(waypoints, this.styles.pathTension, this.styles.pathAlpha);
+        waypoints.forEach((waypoint, i) => {
+          if (!branch || branch.waypoints.includes(waypoint)) Object.assign(waypoint, values[i]);
+        });
+      });
+    });
+    
+    this.styles.pathMode = mode;
+    this.elements.pathMode.value = mode;
+    this.updateWaypointEditor();
+    this.calculateAllPaths();
+  }
+  
+  // Give waypoints without handles (e.g. just added) the handles of the
+  // equivalent Catmull-Rom curve
+  ensureBezierHandles() {
+    routeChains(this.activeRoute).forEach(({ waypoints }) => {
+      const handles = CubicBezier.handlesFromSpline(waypoints, this.styles.pathTension, this.styles.pathAlpha);
+      waypoints.forEach((waypoint, i) => {
+        if (!waypoint.handleIn && handles[i].handleIn) {
+          waypoint.handleIn = handles[i].handleIn;
+          CubicBezier.constrainHandles(waypoint, 'in');
+        }
+        if (!waypoint.handleOut && handles[i].handleOut) {
+          waypoint.handleOut = handles[i].handleOut;
+          CubicBezier.constrainHandles(waypoint, 'out');
+        }
+      });
+    });
   }
   
   findWaypointAt(x, y) {
-    const threshold = 10; // pixels
-    return this.waypoints.find(wp => {
+    const threshold = 10 / (this.view ? this.view.zoom : 1); // screen pixels
+    return allWaypoints(this.activeRoute).find(wp => {
       const dist = Math.sqrt(Math.pow(wp.x - x, 2) + Math.pow(wp.y - y, 2));
       return dist <= threshold;
     });
   }
   
-  updateWaypointList() {
-    this.elements.waypointList.innerHTML = '';
+  // Labels for the active route's major waypoints, numbered along their chain
+  waypointLabels() {
+    const route = this.activeRoute;
+    const labels = new Map();
+    route.waypoints.filter(wp => wp.isMajor).forEach((waypoint, index) => {
+      labels.set(waypoint, `Waypoint ${index + 1}`);
+    });
+    route.branches.forEach((branch, branchIndex) => {
+      branch.waypoints.filter(wp => wp.isMajor).forEach((waypoint, index) => {
+        labels.set(waypoint, `Branch ${branchIndex + 1} · Waypoint ${index + 1}`);
+      });
+    });
+    return labels;
+  }
+  
+  // The active route's major waypoints as a tree: each branch is listed,
+  // indented, beneath the waypoint it forks from
+  updateWaypointList() {
+    this.elements.waypointList.innerHTML = '';
+    
+    const route = this.activeRoute;
+    const labels = this.waypointLabels();
+    
+    const addChain = (waypoints, depth) => {
+      // Only show major waypoints in the list
+      waypoints.filter(wp => wp.isMajor).forEach((waypoint, index) => {
+        this.addWaypointItem(waypoint, `Waypoint ${index + 1}`, depth);
+        
+        route.branches.filter(branch => branch.fork === waypoint).forEach(branch => {
+          this.addBranchItem(branch, labels, depth + 1);
+          addChain(branch.waypoints, depth + 1);
+        });
+      });
+    };
+    addChain(route.waypoints, 0);
+    
+    this.updateBranchControls(labels);
+  }
+  
+  addWaypointItem(waypoint, label, depth) {
+    const item = document.createElement('div');
+    item.className = 'waypoint-item';
+    item.style.paddingLeft = `${0.5 + depth}rem`;
+    if (waypoint === this.selectedWaypoint) {
+      item.classList.add('selected');
+    }
+    
+    item.innerHTML = `
+      <span class="waypoint-item-handle">☰</span>
+      <span class="waypoint-item-label">${label}</span>
+      <button class="waypoint-item-delete">×</button>
+    `;
+    
+    // Make item clickable for selection
+    item.addEventListener('click', () => this.selectWaypoint(waypoint));
+    
+    // Delete button
+    item.querySelector('.waypoint-item-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.deleteWaypoint(waypoint);
+    });
+    
+    this.elements.waypointList.appendChild(item);
+  }
+  
+  addBranchItem(branch, labels, depth) {
+    const item = document.createElement('div');
+    item.className = 'waypoint-item branch-item';
+    item.style.paddingLeft = `${0.5 + depth}rem`;
+    if (branch === this.activeBranch) {
+      item.classList.add('selected');
+    }
+    
+    const number = this.activeRoute.branches.indexOf(branch) + 1;
+    const merge = branch.merge ? `<span class="branch-item-merge">→ ${labels.get(branch.merge)}</span>` : '';
+    item.innerHTML = `
+      <span class="waypoint-item-handle">⑂</span>
+      <span class="waypoint-item-label">Branch ${number}${merge}</span>
+      <button class="waypoint-item-delete">×</button>
+    `;
+    
+    // Clicking a branch makes new waypoints extend it
+    item.addEventListener('click', () => this.editBranch(branch));
+    
+    item.querySelector('.waypoint-item-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.deleteBranch(branch);
+    });
+    
+    this.elements.waypointList.appendChild(item);
+  }
+  
+  // Merge choices for the active branch: any major waypoint not on the branch itself
+  updateBranchControls(labels) {
+    const branch = this.activeBranch;
+    this.elements.branchControls.style.display = branch ? 'block' : 'none';
+    if (!branch) return;
     
-    // Only show major waypoints in the list
-    const majorWaypoints = this.waypoints.filter(wp => wp.isMajor);
-    
-    majorWaypoints.forEach((waypoint, index) => {
-      const item = document.createElement('div');
-      item.className = 'waypoint-item';
-      if (waypoint === this.selectedWaypoint) {
-        item.classList.add('selected');
-      }
-      
-      item.innerHTML = `
-        <span class="waypoint-item-handle">☰</span>
-        <span class="waypoint-item-label">Waypoint ${index + 1}</span>
-        <button class="waypoint-item-delete">×</button>
-      `;
-      
-      // Make item clickable for selection
-      item.addEventListener('click', () => {
-        this.selectedWaypoint = waypoint;
-        this.updateWaypointList();
-        this.updateWaypointEditor();
-      });
-      
-      // Delete button
-      item.querySelector('.waypoint-item-delete').addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deleteWaypoint(waypoint);
-      });
+    const select = this.elements.branchMerge;
+    select.innerHTML = '<option value="">Open End</option>';
+    allWaypoints(this.activeRoute).forEach((waypoint, index) => {
+      if (!waypoint.isMajor || waypoint === branch.fork || branch.waypoints.includes(waypoint)) return;
       
-      this.elements.waypointList.appendChild(item);
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = labels.get(waypoint);
+      option.selected = waypoint === branch.merge;
+      select.appendChild(option);
     });
   }
   
@@ -481,59 +1677,199 @@ class RoutePlotter {
       this.elements.segmentWidth.value = this.selectedWaypoint.segmentWidth;
       this.elements.segmentWidthValue.textContent = this.selectedWaypoint.segmentWidth;
       this.elements.segmentStyle.value = this.selectedWaypoint.segmentStyle;
+      this.elements.waypointValue.value = this.selectedWaypoint.value ?? '';
+      
+      const { tension, continuity, bias } = this.selectedWaypoint;
+      const effectiveTension = Math.round((tension ?? this.styles.pathTension) * 100);
+      this.elements.waypointTension.value = effectiveTension;
+      this.elements.waypointTensionValue.textContent = tension == null ? 'Global' : effectiveTension + '%';
+      this.elements.waypointContinuity.value = continuity ?? 0;
+      this.elements.waypointContinuityValue.textContent = (continuity ?? 0).toFixed(1);
+      this.elements.waypointBias.value = bias ?? 0;
+      this.elements.waypointBiasValue.textContent = (bias ?? 0).toFixed(1);
+      
+      const cornerType = this.selectedWaypoint.cornerType || 'smooth';
+      this.elements.cornerType.value = cornerType;
+      this.elements.cornerRadius.value = this.selectedWaypoint.cornerRadius ?? DEFAULT_CORNER_RADIUS;
+      this.elements.cornerRadiusValue.textContent = this.elements.cornerRadius.value;
+      this.elements.cornerRadiusControl.style.display = cornerType === 'fillet' ? 'flex' : 'none';
+      
+      // Spline shape controls only apply in Catmull-Rom mode, handles in Bézier mode
+      const isBezier = this.styles.pathMode === 'bezier';
+      this.elements.splineControls.style.display = isBezier ? 'none' : 'block';
+      this.elements.bezierControls.style.display = isBezier ? 'block' : 'none';
+      this.elements.handleMode.value = this.selectedWaypoint.handleMode || 'mirrored';
+      
+      // Leg timing only applies to major waypoints
+      const waypoint = this.selectedWaypoint;
+      const legTiming = waypoint.legDuration > 0 ? 'duration' : waypoint.legSpeed > 0 ? 'speed' : 'auto';
+      this.elements.timingControls.style.display = waypoint.isMajor ? 'block' : 'none';
+      this.elements.waypointLegTiming.value = legTiming;
+      this.elements.waypointLegDurationControl.style.display = legTiming === 'duration' ? 'flex' : 'none';
+      this.elements.waypointLegSpeedControl.style.display = legTiming === 'speed' ? 'flex' : 'none';
+      if (waypoint.legDuration > 0) {
+        this.elements.waypointLegDuration.value = waypoint.legDuration;
+        this.elements.waypointLegDurationValue.textContent = waypoint.legDuration + 's';
+      }
+      if (waypoint.legSpeed > 0) {
+        this.elements.waypointLegSpeed.value = waypoint.legSpeed;
+        this.elements.waypointLegSpeedValue.textContent = waypoint.legSpeed;
+      }
+      this.elements.waypointDwell.value = waypoint.dwell || 0;
+      this.elements.waypointDwellValue.textContent = (waypoint.dwell || 0) + 's';
+      this.showEasing(this.elements.waypointEasing, this.elements.waypointEasingCustom,
+        this.elements.waypointEasingCustomControl, waypoint.easing);
+      
+      const hasCameraKey = waypoint.cameraZoom > 0;
+      this.elements.waypointCamera.value = hasCameraKey ? 'keyframe' : 'none';
+      this.elements.waypointCameraZoomControl.style.display = hasCameraKey ? 'flex' : 'none';
+      if (hasCameraKey) {
+        this.elements.waypointCameraZoom.value = waypoint.cameraZoom;
+        this.elements.waypointCameraZoomValue.textContent = waypoint.cameraZoom + '×';
+      }
+      
+      // Branches can only fork from major waypoints
+      this.elements.waypointFork.style.display = waypoint.isMajor ? 'block' : 'none';
     } else {
       // Hide editor
       this.elements.waypointEditor.style.display = 'none';
     }
   }
   
-  deleteWaypoint(waypoint) {
-    const index = this.waypoints.indexOf(waypoint);
-    if (index > -1) {
-      this.waypoints.splice(index, 1);
-      if (this.selectedWaypoint === waypoint) {
-        this.selectedWaypoint = null;
-      }
-      this.calculatePath();
-      this.updateWaypointList();
-      this.updateWaypointEditor();
-    }
+  // Fill an easing <select> from the easing library; waypoint selects also offer
+  // the route's own easing
+  populateEasingSelect(select, includeRouteDefault) {
+    const options = [
+      ...(includeRouteDefault ? [{ value: '', label: 'Route Default' }] : []),
+      ...EASING_OPTIONS,
+      { value: 'custom', label: 'Custom Bézier' }
+    ];
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
   }
   
-  calculatePath() {
-    this.pathPoints = [];
+  // Easing chosen in a select and its Bézier field: a name, a 'cubic-bezier(...)'
+  // spec, null for "Route Default", or undefined while the Bézier field doesn't parse
+  readEasing(select, customInput) {
+    if (select.value !== 'custom') return select.value || null;
     
-    if (this.waypoints.length < 2) {
-      this.animationState.duration = 0;
-      return;
+    const easing = `cubic-bezier(${customInput.value})`;
+    const isValid = parseCubicBezier(easing) !== null;
+    customInput.classList.toggle('invalid', !isValid);
+    return isValid ? easing : undefined;
+  }
+  
+  showEasing(select, customInput, customControl, easing) {
+    const points = easing ? parseCubicBezier(easing) : null;
+    select.value = points ? 'custom' : (easing || '');
+    if (points) {
+      customInput.value = points.join(', ');
     }
+    customInput.classList.remove('invalid');
+    customControl.style.display = points ? 'flex' : 'none';
+  }
+  
+  deleteWaypoint(waypoint) {
+    if (!allWaypoints(this.activeRoute).includes(waypoint)) return;
     
-    // Use Catmull-Rom splines for smooth curves with tension
-    this.pathPoints = CatmullRom.createPath(this.waypoints, 30, this.styles.pathTension);
-    
-    // Calculate total path length
-    let totalLength = 0;
-    for (let i = 1; i < this.pathPoints.length; i++) {
-      const dx = this.pathPoints[i].x - this.pathPoints[i-1].x;
-      const dy = this.pathPoints[i].y - this.pathPoints[i-1].y;
-      totalLength += Math.sqrt(dx * dx + dy * dy);
+    // Branches forking from the waypoint go with it
+    removeWaypoint(this.activeRoute, waypoint);
+    if (!this.activeRoute.branches.includes(this.activeBranch)) {
+      this.activeBranch = null;
     }
-    
-    // Calculate duration based on animation mode
-    if (this.animationState.mode === 'constant-speed') {
-      this.animationState.duration = (totalLength / this.animationState.speed) * 1000; // Convert to ms
+    if (!allWaypoints(this.activeRoute).includes(this.selectedWaypoint)) {
+      this.selectedWaypoint = null;
     }
-    // For constant-time mode, duration is already set by the slider
+    this.animationState.waitingAt = null;
+    this.calculatePath();
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+  }
+  
+  // Recalculate the active route's path (the one being edited)
+  calculatePath() {
+    this.buildRoutePath(this.activeRoute);
+    this.updateTimeline();
+  }
+  
+  // Recalculate every route, after a change to the shared path settings
+  calculateAllPaths() {
+    this.routes.forEach(route => this.buildRoutePath(route));
+    this.updateTimeline();
+  }
+  
+  // One track per chain of the route (main path, then branches)
+  buildRoutePath(route) {
+    route.tracks = routeChains(route).map(chain => ({
+      ...chain,
+      // Use Catmull-Rom splines for smooth curves with tension and parameterization,
+      // adaptively sampled and measured per segment for true constant-speed playback
+      pathGeometry: chain.waypoints.length < 2 ? null : PathGeometry.fromWaypoints(chain.waypoints, {
+        tension: this.styles.pathTension,
+        alpha: this.styles.pathAlpha,
+        tolerance: this.styles.pathTolerance,
+        pointBudget: DEFAULT_POINT_BUDGET,
+        mode: this.styles.pathMode
+      })
+    }));
+  }
+  
+  // Rebuild every route's per-leg timeline and the schedule that combines
+  // them; playback keeps its relative position
+  updateTimeline() {
+    this.routes.forEach(route => {
+      // Tracks are in parent-first order, so a branch's parent is timed before it
+      route.tracks.forEach(track => {
+        track.timeline = Timeline.fromPath(track.pathGeometry, track.waypoints, {
+          ...route.timing,
+          pauseMode: this.animationState.pauseMode,
+          pauseDuration: this.animationState.pauseDuration,
+          holdDuration: this.animationState.holdDuration
+        });
+        
+        track.start = 0;
+        if (track.branch) {
+          const parent = route.tracks[track.parent];
+          const departure = parent.timeline.departureTime(parent.waypoints.indexOf(track.branch.fork));
+          track.start = parent.start + (Number.isFinite(departure) ? departure : parent.timeline.duration);
+        }
+      });
+      route.timeline = new BranchingTimeline(route.tracks);
+    });
+    this.schedule = new RouteSchedule(
+      this.routes.map(route => route.timeline),
+      this.animationState.arrangement,
+      this.routes.map(route => route.startOffset)
+    );
+    this.cameraKeys = cameraKeyframes(this.routes, this.schedule);
+    this.animationState.duration = playbackLength(this.schedule.duration, this.animationState.playbackMode, this.clock.step);
+    this.animationState.currentTime = this.clock.snap(this.animationState.progress * this.animationState.duration, this.animationState.duration);
     
     // Update total time display
     this.updateTimeDisplay();
   }
   
   play() {
-    if (this.waypoints.length < 2) return;
+    if (!this.hasPath()) return;
+    
+    // A single pass that has finished starts over
+    if (!isLooping(this.animationState.playbackMode) && this.animationState.currentTime >= this.animationState.duration) {
+      this.animationState.currentTime = 0;
+    }
+    
+    // Playing from inside a click-to-continue hold continues past it
+    const hold = this.isRouteAdvancing() ? this.schedule.holdAt(this.routeTime()) : null;
+    if (hold) {
+      this.animationState.currentTime += hold.startTime + hold.duration - this.routeTime();
+    }
     
     this.animationState.isPlaying = true;
-    this.animationState.lastTime = performance.now();
+    this.animationState.waitingAt = null;
+    this.clock.reset();
     
     // Update UI
     this.elements.playBtn.style.display = 'none';
@@ -542,35 +1878,261 @@ class RoutePlotter {
   
   pause() {
     this.animationState.isPlaying = false;
+    this.animationState.waitingAt = null;
     
     // Update UI
     this.elements.playBtn.style.display = 'block';
     this.elements.pauseBtn.style.display = 'none';
   }
   
+  // Leave a click-to-continue hold and carry on playing
+  continuePlayback() {
+    const hold = this.animationState.waitingAt;
+    if (!hold) return;
+    
+    this.animationState.waitingAt = null;
+    this.animationState.currentTime += hold.startTime + hold.duration - this.routeTime();
+    this.clock.reset();
+  }
+  
+  // Time (ms) on the route schedule shown at the current playback position
+  routeTime() {
+    return routeTimeAt(this.animationState.currentTime, this.schedule.duration, this.animationState.playbackMode, this.clock.step);
+  }
+  
+  // Whether playback is currently drawing the route forward (not retracting it)
+  isRouteAdvancing() {
+    const { playbackMode, currentTime, duration } = this.animationState;
+    if (playbackMode === 'reverse') return false;
+    return playbackMode !== 'ping-pong' || currentTime < duration / 2;
+  }
+  
   skipToStart() {
+    this.animationState.waitingAt = null;
     this.animationState.progress = 0;
     this.animationState.currentTime = 0;
     this.elements.timelineSlider.value = 0;
   }
   
   skipToEnd() {
+    this.animationState.waitingAt = null;
     this.animationState.progress = 1;
     this.animationState.currentTime = this.animationState.duration;
     this.elements.timelineSlider.value = 100;
   }
   
+  // Record the animation to WebM, rendering each frame of the fixed-step clock in turn
+  async exportVideo() {
+    if (!this.hasPath() || this.isExporting) return;
+    
+    if (!this.canvas.captureStream || typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported('video/webm')) {
+      alert('Video export is not supported in this browser');
+      return;
+    }
+    
+    this.pause();
+    this.isExporting = true;
+    const label = this.elements.exportBtn.textContent;
+    this.elements.exportBtn.disabled = true;
+    
+    // Loop and ping-pong export one seamless cycle
+    const { duration, playbackMode } = this.animationState;
+    const frameCount = cycleFrameCount(this.clock, duration, playbackMode);
+    let track = null;
+    
+    try {
+      const stream = this.canvas.captureStream(0);
+      track = stream.getVideoTracks()[0];
+      if (!track) throw new Error('The canvas could not be captured');
+      const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      
+      recorder.start();
+      for (let frame = 0; frame < frameCount; frame++) {
+        const time = this.clock.frameTime(frame, duration);
+        this.renderFrame(routeTimeAt(time, this.schedule.duration, playbackMode, this.clock.step), {
+          editing: false,
+          retracting: isRetracting(time, this.schedule.duration, playbackMode, this.clock.step)
+        });
+        track.requestFrame();
+        this.elements.exportBtn.textContent = `Exporting ${Math.round((frame + 1) / frameCount * 100)}%`;
+        
+        // MediaRecorder timestamps frames as they arrive, so pace them at the frame rate
+        await new Promise(resolve => setTimeout(resolve, this.clock.step));
+      }
+      recorder.stop();
+      await stopped;
+      
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+      link.download = 'route.webm';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      alert(`Video export failed: ${error.message}`);
+    } finally {
+      if (track) track.stop();
+      this.isExporting = false;
+      this.elements.exportBtn.textContent = label;
+      this.elements.exportBtn.disabled = false;
+    }
+  }
+  
+  // Everything a project file records besides routes and the image
+  projectSettings() {
+    const { pathTension, pathAlpha, pathTolerance, pathMode, waypointSize, beaconStyle, beaconColor } = this.styles;
+    const { playbackMode, arrangement, pauseMode, pauseDuration, holdDuration } = this.animationState;
+    return {
+      styles: { pathTension, pathAlpha, pathTolerance, pathMode, waypointSize, beaconStyle, beaconColor },
+      animation: { playbackMode, arrangement, pauseMode, pauseDuration, holdDuration, frameRate: this.clock.frameRate },
+      camera: { ...this.camera },
+      imageFit: this.imageFit,
+      snapping: { ...this.snapping }
+    };
+  }
+  
+  // Apply saved settings through their controls, so the UI follows. Missing
+  // settings are left as they are.
+  applySettings({ styles = {}, animation = {}, camera = {}, imageFit, snapping = {} }) {
+    const set = (element, value, event = 'change') => {
+      if (value === undefined || value === null) return;
+      element.value = value;
+      element.dispatchEvent(new Event(event));
+    };
+    const seconds = ms => (ms === undefined ? undefined : ms / 1000);
+    
+    // Saved handles already match the saved mode, so don't convert them
+    if (styles.pathMode) {
+      this.styles.pathMode = styles.pathMode;
+      this.elements.pathMode.value = styles.pathMode;
+    }
+    set(this.elements.pathTension, styles.pathTension === undefined ? undefined : Math.round(styles.pathTension * 100), 'input');
+    set(this.elements.pathAlpha, styles.pathAlpha);
+    set(this.elements.pathTolerance, styles.pathTolerance, 'input');
+    set(this.elements.waypointSize, styles.waypointSize, 'input');
+    set(this.elements.beaconStyle, styles.beaconStyle);
+    set(this.elements.beaconColor, styles.beaconColor, 'input');
+    
+    set(this.elements.playbackMode, animation.playbackMode);
+    set(this.elements.routeArrangement, animation.arrangement);
+    set(this.elements.pauseMode, animation.pauseMode);
+    set(this.elements.pauseDuration, seconds(animation.pauseDuration), 'input');
+    set(this.elements.holdDuration, seconds(animation.holdDuration), 'input');
+    set(this.elements.frameRate, animation.frameRate);
+    
+    set(this.elements.cameraMode, camera.mode);
+    set(this.elements.cameraZoom, camera.zoom, 'input');
+    set(this.elements.cameraMargin, camera.margin, 'input');
+    set(this.elements.imageFit, imageFit);
+    set(this.elements.snapGrid, snapping.grid);
+    set(this.elements.snapAlign, snapping.align);
+  }
+  
+  saveProject() {
+    const data = serializeProject({
+      routes: this.routes,
+      size: this.drawingBounds(),
+      image: this.image ? { name: this.imageName, data: this.imageData } : null,
+      settings: this.projectSettings()
+    });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    link.download = 'route-project.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+  
+  // Open a project file (including Route Plotter v1 saves), loading its image first
+  openProject(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        alert('This file is not a Route Plotter project');
+        return;
+      }
+      
+      const image = projectImage(data);
+      if (!image || !image.data) {
+        this.loadProject(data, null, null);
+        return;
+      }
+      const element = new Image();
+      element.onload = () => this.loadProject(data, element, image);
+      element.onerror = () => alert('The image saved in this project could not be loaded');
+      element.src = image.data;
+    };
+    reader.readAsText(file);
+  }
+  
+  // Replace the current project with `data`, a parsed project file of any
+  // version, drawn on `image` (a loaded <img>, or null for a blank drawing)
+  loadProject(data, image, imageInfo) {
+    const size = image
+      ? { width: image.naturalWidth, height: image.naturalHeight }
+      : (data.drawing || this.drawingBounds());
+    
+    let project;
+    try {
+      project = migrateProject(data, size);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    this.pause();
+    this.image = image;
+    this.imageName = imageInfo ? imageInfo.name : null;
+    this.imageData = imageInfo ? imageInfo.data : null;
+    if (!image) {
+      this.blankSize = { width: size.width, height: size.height };
+    }
+    this.view = null;
+    this.editView = null;
+    
+    this.routes = [createRoute(0)];
+    this.activeRouteIndex = 0;
+    this.activeBranch = null;
+    this.selectedWaypoint = null;
+    this.applySettings(project.settings || {});
+    
+    const routes = loadRoutes(project, size);
+    this.routes = routes.length > 0 ? routes : [createRoute(0)];
+    this.animationState.waitingAt = null;
+    this.animationState.progress = 0;
+    this.animationState.currentTime = 0;
+    this.calculateAllPaths();
+    this.updateRouteControls();
+    this.updateWaypointList();
+    this.updateWaypointEditor();
+    console.log(`Opened project with ${this.routes.length} route(s)`);
+  }
+  
   clearAll() {
-    this.waypoints = [];
-    this.pathPoints = [];
+    this.routes = [createRoute(0)];
+    this.activeRouteIndex = 0;
+    this.activeBranch = null;
     this.selectedWaypoint = null;
+    if (!this.image) {
+      this.blankSize = { width: this.canvas.width, height: this.canvas.height };
+      this.editView = null;
+    }
     this.animationState.progress = 0;
     this.animationState.currentTime = 0;
     this.animationState.duration = 0;
     this.pause();
-    this.updateTimeDisplay();
+    this.updateTimeline();
+    this.updateRouteControls();
     this.updateWaypointList();
-    console.log('Cleared all waypoints and path');
+    this.updateWaypointEditor();
+    console.log('Cleared all routes and waypoints');
   }
   
   showSplash() {
@@ -590,21 +2152,37 @@ class RoutePlotter {
     const loop = (currentTime) => {
       requestAnimationFrame(loop);
       
-      // Update animation if playing
-      if (this.animationState.isPlaying) {
-        // Calculate delta time with playback speed
-        const deltaTime = (currentTime - this.animationState.lastTime) * this.animationState.playbackSpeed;
-        this.animationState.lastTime = currentTime;
+      // Export drives the canvas itself, one frame at a time
+      if (this.isExporting) return;
+      
+      // Advance playback by whole frames of the fixed-step clock
+      const isAdvancing = this.animationState.isPlaying && !this.animationState.waitingAt;
+      const frames = isAdvancing ? this.clock.tick(currentTime, this.animationState.playbackSpeed) : 0;
+      if (frames > 0) {
+        const { duration, playbackMode } = this.animationState;
+        let frame = this.clock.frameAt(this.animationState.currentTime) + frames;
+        if (isLooping(playbackMode)) {
+          frame %= cycleFrameCount(this.clock, duration, playbackMode);
+        }
+        let time = this.clock.frameTime(frame, duration);
         
-        // Update progress
-        this.animationState.currentTime += deltaTime;
+        // Stop at click-to-continue holds until the presenter moves on (only
+        // while the route is being drawn forward)
+        const fromRoute = this.routeTime();
+        const toRoute = routeTimeAt(time, this.schedule.duration, playbackMode, this.clock.step);
+        const hold = toRoute > fromRoute ? this.schedule.holdBetween(fromRoute, toRoute) : null;
+        if (hold) {
+          time = this.animationState.currentTime + hold.startTime - fromRoute;
+          this.animationState.waitingAt = hold;
+        }
+        this.animationState.currentTime = time;
         
-        if (this.animationState.currentTime >= this.animationState.duration) {
+        if (!isLooping(playbackMode) && this.animationState.currentTime >= duration) {
           this.animationState.currentTime = this.animationState.duration;
           this.animationState.progress = 1;
           this.pause();
         } else {
-          this.animationState.progress = this.animationState.currentTime / this.animationState.duration;
+          this.animationState.progress = duration > 0 ? this.animationState.currentTime / duration : 0;
         }
         
         // Update timeline slider
@@ -634,64 +2212,372 @@ class RoutePlotter {
   }
   
   render() {
+    this.renderFrame(this.routeTime(), { retracting: !this.isRouteAdvancing() });
+    
+    if (this.animationState.waitingAt) {
+      this.drawContinueIndicator(this.screenPoint(this.animationState.waitingAt.waypoint));
+    }
+    
+    this.minimapRect = null;
+    if (this.canPanEditView() && !this.animationState.isPlaying) {
+      this.drawMinimap();
+    }
+  }
+  
+  // Overview of the whole drawing in the top-right corner with the part the
+  // editing view shows outlined
+  drawMinimap() {
+    const bounds = this.drawingBounds();
+    const scale = MINIMAP_SIZE / Math.max(bounds.width, bounds.height);
+    const rect = {
+      x: this.canvas.width - bounds.width * scale - 12,
+      y: 12,
+      width: bounds.width * scale,
+      height: bounds.height * scale,
+      scale
+    };
+    
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.beginPath();
+    this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.clip();
+    
+    // Drawing space from here on
+    this.ctx.setTransform(scale, 0, 0, scale, rect.x - bounds.x * scale, rect.y - bounds.y * scale);
+    if (this.image) {
+      this.ctx.drawImage(this.image, 0, 0);
+    }
+    
+    // Whole routes, thin, whatever the playback position
+    this.ctx.lineWidth = 1.5 / scale;
+    this.routes.forEach(route => {
+      this.ctx.strokeStyle = route.color;
+      route.tracks.forEach(({ pathGeometry }) => {
+        const points = pathGeometry ? pathGeometry.points : [];
+        if (points.length < 2) return;
+        this.ctx.beginPath();
+        points.forEach((point, index) => {
+          if (index === 0) {
+            this.ctx.moveTo(point.x, point.y);
+          } else {
+            this.ctx.lineTo(point.x, point.y);
+          }
+        });
+        this.ctx.stroke();
+      });
+    });
+    
+    // Visible area
+    const view = this.view;
+    const halfWidth = this.canvas.width / 2 / view.zoom;
+    const halfHeight = this.canvas.height / 2 / view.zoom;
+    this.ctx.strokeStyle = '#4a90e2';
+    this.ctx.lineWidth = 2 / scale;
+    this.ctx.strokeRect(view.x - halfWidth, view.y - halfHeight, halfWidth * 2, halfHeight * 2);
+    this.ctx.restore();
+    
+    this.minimapRect = rect;
+  }
+  
+  // Small "continue" hint beside the waypoint playback is holding at
+  drawContinueIndicator(point) {
+    const text = 'Click to continue ▸';
+    this.ctx.save();
+    this.ctx.font = '12px sans-serif';
+    const width = this.ctx.measureText(text).width + 16;
+    const x = Math.min(point.x + 16, this.canvas.width - width - 4);
+    const y = Math.max(point.y - 34, 4);
+    
+    this.ctx.globalAlpha = 0.8;
+    this.ctx.fillStyle = '#2c3e50';
+    this.ctx.beginPath();
+    this.ctx.roundRect(x, y, width, 22, 11);
+    this.ctx.fill();
+    
+    this.ctx.fillStyle = 'white';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(text, x + 8, y + 11);
+    this.ctx.restore();
+  }
+  
+  // Draw the frame at playback `time` (ms). Editing overlays (selection, Bézier
+  // handles) are left out when `editing` is false, e.g. for export;
+  // `retracting` is set while playback runs the route backwards.
+  renderFrame(time, { editing = true, retracting = false } = {}) {
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!editing) {
+      // Video has no alpha channel; match the on-screen canvas background
+      this.ctx.fillStyle = 'white';
+      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
     
-    // Draw path with per-segment styling
-    if (this.pathPoints.length > 0 && this.waypoints.length > 1) {
-      const totalPoints = this.pathPoints.length;
-      const pointsToRender = Math.floor(totalPoints * this.animationState.progress);
+    // One frame per track; branches run on the route's clock from their start
+    const { reducedMotion } = this.animationState;
+    const tracks = this.routes.flatMap((route, index) => route.tracks.map(track => {
+      const local = this.schedule.localTime(index, time) - track.start;
+      return {
+        route,
+        track,
+        local,
+        frame: frameStateAt(local, track.pathGeometry, track.timeline, track.waypoints, { reducedMotion, retracting })
+      };
+    }));
+    
+    // The camera follows the heads still drawing (or, in a gap before the
+    // next route starts, those that have drawn)
+    const withHead = tracks.filter(({ frame }) => frame.head);
+    const drawing = withHead.filter(({ track, local }) => local >= 0 && local <= track.timeline.duration);
+    const started = withHead.filter(({ local }) => local >= 0);
+    const heads = (drawing.length > 0 ? drawing : started.length > 0 ? started : withHead).map(({ frame }) => frame.head);
+    const viewport = { width: this.canvas.width, height: this.canvas.height };
+    const camera = cameraAt(time, { ...this.camera, stepped: reducedMotion }, this.cameraKeys, heads,
+      viewport, this.drawingBounds(), this.baseView());
+    
+    // On screen the camera only runs during playback; otherwise the editing view
+    const view = editing && !this.animationState.isPlaying ? this.editingView() : camera;
+    if (editing) {
+      this.view = view;
+    }
+    
+    this.ctx.save();
+    this.ctx.setTransform(view.zoom, 0, 0, view.zoom,
+      viewport.width / 2 - view.x * view.zoom, viewport.height / 2 - view.y * view.zoom);
+    
+    if (this.image) {
+      this.ctx.drawImage(this.image, 0, 0);
+    }
+    
+    if (editing && !this.animationState.isPlaying && this.snapping.grid > 0) {
+      this.drawSnapGrid(view);
+    }
+    
+    const colorings = new Map(this.routes.flatMap(route => [...trackColorings(route, allWaypoints(route))]));
+    const smooth = new Set(this.routes.filter(route => route.widthMode === 'smooth').flatMap(route => route.tracks));
+    tracks.forEach(({ track, frame }) => this.drawRoutePath(track, frame, time, colorings.get(track), smooth.has(track)));
+    
+    // Draw beacons on major waypoints that have been passed. Forks and merges
+    // are on several tracks; the earliest arrival sets the beacon's age.
+    if (this.styles.beaconStyle !== 'none') {
+      const ages = new Map();
+      tracks.forEach(({ track, frame }) => {
+        frame.beacons.forEach(({ waypointIndex, age }) => {
+          const waypoint = track.waypoints[waypointIndex];
+          ages.set(waypoint, Math.max(age, ages.get(waypoint) ?? 0));
+        });
+      });
+      ages.forEach((age, waypoint) => this.drawBeacon(waypoint, age));
+    }
+    
+    // Draw waypoints (only major ones are visible); while editing, routes
+    // other than the active one are faded
+    this.routes.forEach(route => {
+      const isFaded = editing && route !== this.activeRoute;
+      this.ctx.globalAlpha = isFaded ? 0.5 : 1;
+      this.drawWaypointMarkers(allWaypoints(route), editing);
+    });
+    this.ctx.globalAlpha = 1;
+    
+    // Head markers, on top, for tracks that have set off; they take the
+    // path's color where the head is
+    tracks.forEach(({ route, track, local, frame }) => {
+      if (!frame.head || local < 0) return;
       
-      // Calculate which waypoint each path point belongs to
-      const pointsPerSegment = Math.floor(totalPoints / (this.waypoints.length - 1));
+      const colorAt = colorings.get(track);
+      drawHead(this.ctx, frame.head, route.head, {
+        color: colorAt ? colorAt(frame.revealedDistance) : route.color,
+        progress: track.timeline.duration > 0 ? local / track.timeline.duration : 1,
+        time: local,
+        reducedMotion,
+        icon: this.headIcon(route.head.icon)
+      });
+    });
+    
+    if (editing && this.styles.pathMode === 'bezier') {
+      this.drawBezierHandles();
+    }
+    
+    if (editing && this.snapGuides.length > 0) {
+      this.drawSnapGuides(view);
+    }
+    
+    if (editing && this.traceStroke) {
+      this.drawTraceStroke(view);
+    }
+    
+    this.ctx.restore();
+    
+    // Legends stay put on screen (and in exports) whatever the view
+    this.drawDataLegends();
+  }
+  
+  // A legend for each route colored by data values: its color ramp from the
+  // smallest to the largest value, stacked down the top-left corner
+  drawDataLegends() {
+    const width = 160;
+    let y = 12;
+    this.routes.forEach(route => {
+      if (route.coloring.mode !== 'data') return;
+      const range = dataRange(allWaypoints(route));
+      if (!range) return;
       
-      for (let i = 1; i < pointsToRender; i++) {
-        const segmentIndex = Math.min(Math.floor(i / pointsPerSegment), this.waypoints.length - 2);
-        const waypoint = this.waypoints[segmentIndex];
-        
-        // Set segment style
-        this.ctx.strokeStyle = waypoint.segmentColor;
-        this.ctx.lineWidth = waypoint.segmentWidth;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        
-        // Apply line style
-        this.applyLineStyle(waypoint.segmentStyle);
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.pathPoints[i - 1].x, this.pathPoints[i - 1].y);
-        this.ctx.lineTo(this.pathPoints[i].x, this.pathPoints[i].y);
-        this.ctx.stroke();
-      }
+      const x = 12;
+      this.ctx.save();
+      this.ctx.globalAlpha = 0.9;
+      this.ctx.fillStyle = 'white';
+      this.ctx.beginPath();
+      this.ctx.roundRect(x, y, width + 16, 52, 4);
+      this.ctx.fill();
+      this.ctx.globalAlpha = 1;
+      
+      this.ctx.font = '12px sans-serif';
+      this.ctx.fillStyle = '#2c3e50';
+      this.ctx.textBaseline = 'top';
+      this.ctx.fillText(`${route.name}: ${route.coloring.label}`, x + 8, y + 6);
       
-      // Reset dash
-      this.ctx.setLineDash([]);
+      const gradient = this.ctx.createLinearGradient(x + 8, 0, x + 8 + width, 0);
+      const stops = rampStops(route.coloring.ramp);
+      stops.forEach((color, index) => gradient.addColorStop(index / (stops.length - 1), color));
+      this.ctx.fillStyle = gradient;
+      this.ctx.fillRect(x + 8, y + 22, width, 10);
+      
+      const format = value => String(Number(value.toFixed(2)));
+      this.ctx.fillStyle = '#2c3e50';
+      this.ctx.font = '10px sans-serif';
+      this.ctx.fillText(format(range.min), x + 8, y + 36);
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(format(range.max), x + 8 + width, y + 36);
+      this.ctx.restore();
+      
+      y += 60;
+    });
+  }
+  
+  // Faint snapping grid over the drawing, left out when too dense to see
+  drawSnapGrid(view) {
+    const { grid } = this.snapping;
+    if (grid * view.zoom < 6) return;
+    
+    const bounds = this.drawingBounds();
+    this.ctx.save();
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    this.ctx.lineWidth = 1 / view.zoom;
+    this.ctx.beginPath();
+    for (let x = bounds.x; x <= bounds.x + bounds.width; x += grid) {
+      this.ctx.moveTo(x, bounds.y);
+      this.ctx.lineTo(x, bounds.y + bounds.height);
+    }
+    for (let y = bounds.y; y <= bounds.y + bounds.height; y += grid) {
+      this.ctx.moveTo(bounds.x, y);
+      this.ctx.lineTo(bounds.x + bounds.width, y);
     }
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+  
+  // Stroke being traced, in the active route's color
+  drawTraceStroke(view) {
+    this.ctx.save();
+    this.ctx.strokeStyle = this.activeRoute.color;
+    this.ctx.globalAlpha = 0.6;
+    this.ctx.lineWidth = 2 / view.zoom;
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.beginPath();
+    this.traceStroke.forEach((point, index) => {
+      if (index === 0) {
+        this.ctx.moveTo(point.x, point.y);
+      } else {
+        this.ctx.lineTo(point.x, point.y);
+      }
+    });
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+  
+  // Smart guides from a dragged waypoint to what it snapped to
+  drawSnapGuides(view) {
+    this.ctx.save();
+    this.ctx.strokeStyle = '#e2478f';
+    this.ctx.lineWidth = 1 / view.zoom;
+    this.ctx.setLineDash([4 / view.zoom, 4 / view.zoom]);
+    this.snapGuides.forEach(guide => {
+      this.ctx.beginPath();
+      this.ctx.moveTo(guide.x1, guide.y1);
+      this.ctx.lineTo(guide.x2, guide.y2);
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
+  }
+  
+  // `time` (project ms) drives animated line styles; `colorAt` colors the track
+  // by distance, overriding segment colors (see coloring.js); with
+  // `smoothWidth` the width flows between the waypoints' widths
+  drawRoutePath(track, frame, time, colorAt, smoothWidth) {
+    const { pathGeometry, waypoints } = track;
+    const revealedDistance = frame.revealedDistance;
     
-    // Draw beacons on major waypoints that have been passed
-    if (this.pathPoints.length > 0 && this.styles.beaconStyle !== 'none') {
-      const currentProgress = this.animationState.progress;
-      const totalPoints = this.pathPoints.length;
-      const currentPointIndex = Math.floor(totalPoints * currentProgress);
+    // Draw path with per-segment styling
+    if (pathGeometry && waypoints.length > 1) {
+      const widthAt = smoothWidth ? widthAlong(waypoints, pathGeometry) : null;
       
-      this.waypoints.forEach((waypoint, wpIndex) => {
-        if (waypoint.isMajor) {
-          // Calculate approximate point index for this waypoint
-          const waypointPointIndex = Math.floor((wpIndex / (this.waypoints.length - 1)) * totalPoints);
-          
-          // Show beacon if animation has passed this waypoint
-          if (currentPointIndex >= waypointPointIndex && waypointPointIndex < currentPointIndex + 20) {
-            this.drawBeacon(waypoint);
-          }
+      // Consecutive segments that look alike are stroked as one run, so dash
+      // patterns flow on past waypoints and the joins between them are clean
+      const runs = [];
+      pathGeometry.segments.forEach((segment, segmentIndex) => {
+        let points = pathGeometry.revealedPoints(segmentIndex, revealedDistance);
+        
+        // Reduced motion: the leg being revealed fades in whole
+        const isFading = frame.fade && points.length === 0 && segment.start < frame.fade.endDistance;
+        if (isFading) {
+          points = segment.points;
         }
+        if (points.length < 2) return;
+        
+        // Each segment takes the style of the waypoint it starts from; tapers
+        // span a single segment, so they never join up
+        const waypoint = waypoints[segmentIndex];
+        const look = {
+          style: waypoint.segmentStyle,
+          color: colorAt || waypoint.segmentColor,
+          width: widthAt || waypoint.segmentWidth,
+          opacity: isFading ? frame.fade.opacity : 1
+        };
+        const run = runs[runs.length - 1];
+        const joins = run && run.lastSegment === segmentIndex - 1 && look.style !== 'tapered' &&
+          ['style', 'color', 'width', 'opacity'].every(key => run[key] === look[key]);
+        if (joins) {
+          run.points.push(...points.slice(1));
+          run.lastSegment = segmentIndex;
+        } else {
+          runs.push({ ...look, points: [...points], start: segment.start, length: segment.length, lastSegment: segmentIndex });
+        }
+      });
+      
+      runs.forEach(run => {
+        this.ctx.globalAlpha = run.opacity;
+        strokePath(this.ctx, run.points, run.style, {
+          color: run.color,
+          width: run.width,
+          start: run.start,
+          length: run.length,
+          time
+        });
       });
+      this.ctx.globalAlpha = 1;
     }
-    
-    // Draw waypoints (only major ones are visible)
-    this.waypoints.forEach(waypoint => {
+  }
+  
+  drawWaypointMarkers(waypoints, editing) {
+    waypoints.forEach(waypoint => {
       if (waypoint.isMajor) {
         // Highlight selected waypoint
-        const isSelected = waypoint === this.selectedWaypoint;
+        const isSelected = editing && waypoint === this.selectedWaypoint;
         const size = isSelected ? this.styles.waypointSize * 1.3 : this.styles.waypointSize;
         
         // Major waypoint - filled circle
@@ -707,34 +2593,79 @@ class RoutePlotter {
     });
   }
   
-  applyLineStyle(style) {
-    switch (style) {
-      case 'dotted':
-        this.ctx.setLineDash([2, 6]);
-        break;
-      case 'dashed':
-        this.ctx.setLineDash([10, 5]);
-        break;
-      case 'squiggle':
-        // Approximated with dashed pattern - true squiggle would need complex path manipulation
-        this.ctx.setLineDash([5, 3, 2, 3]);
-        break;
-      case 'solid':
-      default:
-        this.ctx.setLineDash([]);
-        break;
-    }
+  drawBezierHandles() {
+    this.ctx.save();
+    allWaypoints(this.activeRoute).forEach(waypoint => {
+      const isSelected = waypoint === this.selectedWaypoint;
+      
+      [waypoint.handleIn, waypoint.handleOut].forEach(handle => {
+        if (!handle) return;
+        const hx = waypoint.x + handle.x;
+        const hy = waypoint.y + handle.y;
+        
+        // Arm from waypoint to handle
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = isSelected ? '#4a90e2' : 'rgba(74, 144, 226, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.moveTo(waypoint.x, waypoint.y);
+        this.ctx.lineTo(hx, hy);
+        this.ctx.stroke();
+        
+        // Draggable knob
+        this.ctx.beginPath();
+        this.ctx.fillStyle = 'white';
+        this.ctx.strokeStyle = '#4a90e2';
+        this.ctx.lineWidth = isSelected ? 2 : 1.5;
+        this.ctx.arc(hx, hy, 4, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+      });
+      
+      // Minor waypoints get a small anchor so their handles aren't floating
+      if (!waypoint.isMajor) {
+        this.ctx.beginPath();
+        this.ctx.fillStyle = isSelected ? '#4a90e2' : 'white';
+        this.ctx.strokeStyle = '#4a90e2';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.rect(waypoint.x - 3, waypoint.y - 3, 6, 6);
+        this.ctx.fill();
+        this.ctx.stroke();
+      }
+    });
+    this.ctx.restore();
   }
   
-  drawBeacon(point) {
+  // `age` is the playback time (ms) since the head reached the waypoint
+  drawBeacon(point, age) {
     if (this.styles.beaconStyle === 'none') return;
     
-    if (this.styles.beaconStyle === 'pulse') {
-      // Update pulse phase
-      this.beaconAnimation.pulsePhase = performance.now() * 0.003;
+    // Reduced motion: a steady glow that fades in on arrival, for either style
+    if (this.animationState.reducedMotion) {
+      this.ctx.save();
+      this.ctx.globalAlpha = Math.min(1, age / CROSSFADE_DURATION);
+      
+      const gradient = this.ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, 15);
+      gradient.addColorStop(0, this.styles.beaconColor + 'ff');
+      gradient.addColorStop(1, this.styles.beaconColor + '00');
+      this.ctx.beginPath();
+      this.ctx.fillStyle = gradient;
+      this.ctx.arc(point.x, point.y, 15, 0, Math.PI * 2);
+      this.ctx.fill();
       
+      this.ctx.beginPath();
+      this.ctx.fillStyle = this.styles.beaconColor;
+      this.ctx.strokeStyle = 'white';
+      this.ctx.lineWidth = 2;
+      this.ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+      this.ctx.restore();
+      return;
+    }
+    
+    if (this.styles.beaconStyle === 'pulse') {
       // Pulsing dot
-      const pulse = 1 + Math.sin(this.beaconAnimation.pulsePhase) * 0.3;
+      const pulse = 1 + Math.sin(age * PULSE_RATE) * 0.3;
       
       // Outer glow
       const gradient = this.ctx.createRadialGradient(
@@ -759,29 +2690,21 @@ class RoutePlotter {
       this.ctx.stroke();
       
     } else if (this.styles.beaconStyle === 'ripple') {
-      // Add new ripples periodically
-      if (Math.random() < 0.03) { // ~3% chance per frame
-        this.beaconAnimation.ripples.push({
-          scale: 0.8,
-          opacity: 1
-        });
-      }
-      
-      // Update and draw ripples
-      this.beaconAnimation.ripples = this.beaconAnimation.ripples.filter(ripple => {
-        ripple.scale += 0.05;
-        ripple.opacity -= 0.02;
+      // A new ripple every RIPPLE_INTERVAL, each expanding and fading over its lifetime
+      const first = Math.max(0, Math.ceil((age - RIPPLE_LIFETIME) / RIPPLE_INTERVAL));
+      for (let i = first; i * RIPPLE_INTERVAL <= age; i++) {
+        const life = (age - i * RIPPLE_INTERVAL) / RIPPLE_LIFETIME;
+        const scale = 0.8 + life * 2.5;
+        const opacity = 1 - life;
         
-        if (ripple.opacity > 0) {
+        if (opacity > 0) {
           this.ctx.beginPath();
-          this.ctx.strokeStyle = this.styles.beaconColor + Math.floor(ripple.opacity * 255).toString(16).padStart(2, '0');
+          this.ctx.strokeStyle = this.styles.beaconColor + Math.floor(opacity * 255).toString(16).padStart(2, '0');
           this.ctx.lineWidth = 2;
-          this.ctx.arc(point.x, point.y, 10 * ripple.scale, 0, Math.PI * 2);
+          this.ctx.arc(point.x, point.y, 10 * scale, 0, Math.PI * 2);
           this.ctx.stroke();
-          return true;
         }
-        return false;
-      });
+      }
       
       // Center dot
       this.ctx.beginPath();
@@ -0,0 +1,180 @@
+// Project files for Route Plotter v3: routes, settings and the base image as
+// JSON. Waypoint positions (and handles and corner radii) are stored
+// normalized to the drawing, 0–1 across the image or blank canvas, so a
+// project survives window resizes and higher-resolution copies of its map.
+//
+// Versions:
+//   1 - Route Plotter v1 saves: one route in raw image pixels
+//   2 - v3 projects with normalized coordinates
+// Older files are migrated on load, one version at a time.
+
+import { createRoute, createBranch, createWaypoint, allWaypoints } from './routes.js';
+
+export const PROJECT_VERSION = 2;
+
+// Copy of `waypoint` with its drawing measurements scaled by sx/sy
+function scaleWaypoint(waypoint, sx, sy) {
+  const scaleOffset = offset => (offset ? { x: offset.x * sx, y: offset.y * sy } : null);
+  return {
+    ...waypoint,
+    x: waypoint.x * sx,
+    y: waypoint.y * sy,
+    handleIn: scaleOffset(waypoint.handleIn),
+    handleOut: scaleOffset(waypoint.handleOut),
+    cornerRadius: waypoint.cornerRadius * sx
+  };
+}
+
+// Saved form of a waypoint on a drawing of `size`
+function saveWaypoint(waypoint, size) {
+  const { id, ...fields } = scaleWaypoint(waypoint, 1 / size.width, 1 / size.height);
+  return fields;
+}
+
+// `size` is the drawing's size in pixels; `image` is {name, data} or null
+export function serializeProject({ routes, size, image, settings }) {
+  return {
+    app: 'route-plotter',
+    version: PROJECT_VERSION,
+    drawing: { width: size.width, height: size.height },
+    image,
+    settings,
+    routes: routes.map(route => {
+      // Branch ends refer to waypoints by their position in allWaypoints()
+      const waypoints = allWaypoints(route);
+      return {
+        name: route.name,
+        color: route.color,
+        thickness: route.thickness,
+        widthMode: route.widthMode,
+        timing: { ...route.timing },
+        startOffset: route.startOffset,
+        coloring: { ...route.coloring },
+        head: { ...route.head },
+        waypoints: route.waypoints.map(waypoint => saveWaypoint(waypoint, size)),
+        branches: route.branches.map(branch => ({
+          fork: waypoints.indexOf(branch.fork),
+          merge: branch.merge ? waypoints.indexOf(branch.merge) : null,
+          waypoints: branch.waypoints.map(waypoint => saveWaypoint(waypoint, size))
+        }))
+      };
+    })
+  };
+}
+
+// Routes of a current-version project, in the pixels of a drawing of `size`.
+// Fields missing from the file keep their defaults.
+export function loadRoutes(data, size) {
+  return data.routes.map((saved, index) => {
+    const route = createRoute(index);
+    route.name = saved.name ?? route.name;
+    route.color = saved.color ?? route.color;
+    route.thickness = saved.thickness ?? route.thickness;
+    route.widthMode = saved.widthMode ?? route.widthMode;
+    route.timing = { ...route.timing, ...saved.timing };
+    route.startOffset = saved.startOffset ?? 0;
+    route.coloring = { ...route.coloring, ...saved.coloring };
+    route.head = { ...route.head, ...saved.head };
+    
+    const defaults = saveWaypoint(createWaypoint(route, 0, 0, true), size);
+    const load = fields => ({
+      ...createWaypoint(route, 0, 0, true), // for a fresh id
+      ...scaleWaypoint({ ...defaults, ...fields }, size.width, size.height)
+    });
+    
+    route.waypoints = (saved.waypoints || []).map(load);
+    const branches = (saved.branches || []).map(branch => ({ saved: branch, branch: createBranch(null) }));
+    branches.forEach(({ saved: branch, branch: loaded }) => {
+      loaded.waypoints = (branch.waypoints || []).map(load);
+    });
+    route.branches = branches.map(({ branch }) => branch);
+    
+    // Resolve branch ends once every waypoint exists; branches whose fork is
+    // missing are dropped
+    const waypoints = allWaypoints(route);
+    branches.forEach(({ saved: branch, branch: loaded }) => {
+      loaded.fork = waypoints[branch.fork] || null;
+      loaded.merge = waypoints[branch.merge] || null;
+    });
+    route.branches = route.branches.filter(branch => branch.fork);
+    return route;
+  });
+}
+
+const migrations = {
+  // v1 saves hold `pathPoints` in pixels of the saved image plus `waypoints`
+  // ({index, name}) marking the stops, and one set of line settings
+  1: (data, size) => {
+    const settings = data.settings || {};
+    const route = createRoute(0);
+    route.color = settings.lineColor || route.color;
+    route.thickness = settings.lineThickness || route.thickness;
+    
+    // Without smoothing v1 plays straight lines between points, so every point
+    // becomes a sharp corner
+    const stops = new Set((data.waypoints || []).map(waypoint => waypoint.index));
+    const waypoints = (data.pathPoints || []).map((point, index) => {
+      const waypoint = createWaypoint(route, point.x, point.y, stops.has(index));
+      if (!settings.useSmoothing) {
+        waypoint.cornerType = 'sharp';
+      }
+      return saveWaypoint(waypoint, size);
+    });
+    
+    return {
+      app: 'route-plotter',
+      version: 2,
+      drawing: { width: size.width, height: size.height },
+      image: data.imageData ? { name: data.imageName, data: data.imageData } : null,
+      settings: {
+        styles: {
+          beaconStyle: settings.showBeacons ? 'ripple' : 'none',
+          beaconColor: settings.lineColor
+        },
+        animation: {
+          pauseMode: settings.pauseAtWaypoints ? 'timed' : 'continuous',
+          pauseDuration: (settings.pauseDuration || 2) * 1000
+        }
+      },
+      routes: [{
+        name: route.name,
+        color: route.color,
+        thickness: route.thickness,
+        waypoints,
+        branches: []
+      }]
+    };
+  }
+};
+
+// Image embedded in a project file of any version, as {name, data}
+export function projectImage(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.version === undefined) {
+    return data.imageData ? { name: data.imageName, data: data.imageData } : null;
+  }
+  return data.image || null;
+}
+
+// Bring a parsed project file up to PROJECT_VERSION. `size` is the size of the
+// drawing it is loaded onto, which pixel-based versions are measured against.
+export function migrateProject(data, size) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Not a Route Plotter project');
+  }
+  
+  // v1 saves have no version field
+  let version = data.version ?? (Array.isArray(data.pathPoints) ? 1 : null);
+  if (version === null || !Number.isInteger(version)) {
+    throw new Error('Not a Route Plotter project');
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer version of Route Plotter (format ${version})`);
+  }
+  
+  while (version < PROJECT_VERSION) {
+    data = migrations[version](data, size);
+    version = data.version;
+  }
+  return data;
+}
@@ -0,0 +1,173 @@
+// Routes for Route Plotter v3. A project holds several routes (e.g. walking
+// vs. bus), each with its own waypoints, line style and timing settings.
+//
+// A route is a small graph: the main path (`waypoints`) plus branches. Each
+// branch sets off from a fork waypoint on another chain, has waypoints of its
+// own, and may rejoin the route at a merge waypoint. Branches animate in
+// parallel from the moment the head leaves their fork.
+
+import { BranchingTimeline } from './timing.js';
+import { DEFAULT_CORNER_RADIUS } from './geometry.js';
+
+// Default colors for new routes, cycled in order
+export const ROUTE_COLORS = ['#FF6B6B', '#4A90E2', '#2ECC71', '#F5A623', '#9B59B6'];
+
+let nextRouteId = 1;
+let nextBranchId = 1;
+let nextWaypointId = 1;
+
+export function createRoute(index) {
+  return {
+    id: nextRouteId++,
+    name: `Route ${index + 1}`,
+    color: ROUTE_COLORS[index % ROUTE_COLORS.length],
+    thickness: 3,
+    // 'segments': each segment at its waypoint's segmentWidth; 'smooth': the
+    // width flows between the waypoints' widths
+    widthMode: 'segments',
+    waypoints: [],
+    branches: [],
+    // Timeline.fromPath settings for this route
+    timing: {
+      mode: 'constant-speed', // 'constant-time' or 'constant-leg-time'
+      speed: 200, // pixels per second
+      duration: 5000, // whole-route time for constant-time mode (ms)
+      legDuration: 2000, // time per major→major leg for constant-leg-time mode (ms)
+      easing: 'linear' // default easing for every leg (name or 'cubic-bezier(...)')
+    },
+    startOffset: 0, // ms after the project starts, when routes are staggered
+    // How the stroke is colored; see coloring.js
+    coloring: {
+      mode: 'segments', // 'gradient', 'blend' or 'data'
+      from: '#2ECC71', // gradient start and end colors
+      to: '#E74C3C',
+      ramp: 'viridis', // color ramp for data values (COLOR_RAMPS)
+      label: 'Value' // what the data values are, shown in the legend
+    },
+    // Marker at the head of the route as it draws; see heads.js
+    head: {
+      shape: 'none', // 'dot', 'arrow', 'pulse' or 'icon'
+      size: 16, // drawing pixels as the route starts...
+      endSize: 16, // ...and as it finishes
+      orientation: 'rotate', // icons only: 'flip' or 'fixed'
+      icon: null, // data URL of the uploaded PNG or SVG
+      iconName: null
+    },
+    // Derived from the waypoints by RoutePlotter.calculatePath(): one track
+    // (chain, geometry, timeline and start time) per chain
+    tracks: [],
+    timeline: new BranchingTimeline([])
+  };
+}
+
+// A waypoint of `route` with default styling
+export function createWaypoint(route, x, y, isMajor) {
+  return {
+    x,
+    y,
+    isMajor,
+    id: nextWaypointId++, // Unique ID for list management
+    // Segment styling (from this waypoint to next)
+    segmentColor: route.color,
+    segmentWidth: route.thickness,
+    segmentStyle: 'solid',
+    // Curve shape at this waypoint (null = use global tension / standard curve)
+    tension: null,
+    continuity: null,
+    bias: null,
+    // Corner at this waypoint: 'smooth', 'sharp' or 'fillet' (rounded with cornerRadius)
+    cornerType: 'smooth',
+    cornerRadius: DEFAULT_CORNER_RADIUS,
+    // Bézier handles, offsets from the waypoint (only used in Bézier mode)
+    handleIn: null,
+    handleOut: null,
+    handleMode: 'mirrored',
+    // Timing of the leg into this waypoint (major only; null = global mode) and dwell on arrival
+    legDuration: null, // seconds
+    legSpeed: null, // pixels per second
+    dwell: 0, // seconds
+    easing: null, // easing of the leg into this waypoint (null = route easing)
+    cameraZoom: null, // camera keyframe zoom at this waypoint (major only; null = no keyframe)
+    value: null // data value (e.g. elevation) for data-driven coloring, or null
+  };
+}
+
+export function createBranch(fork) {
+  return {
+    id: nextBranchId++,
+    fork, // waypoint the branch sets off from
+    merge: null, // waypoint it rejoins the route at, or null for an open end
+    waypoints: [] // the branch's own waypoints, between fork and merge
+  };
+}
+
+// Branch whose own waypoints include `waypoint`; null for the main path
+export function branchOf(route, waypoint) {
+  return route.branches.find(branch => branch.waypoints.includes(waypoint)) || null;
+}
+
+// Every waypoint of the route, main path first
+export function allWaypoints(route) {
+  return [...route.waypoints, ...route.branches.flatMap(branch => branch.waypoints)];
+}
+
+// The waypoint chains that make up a route: the main path first, then each
+// branch after the chain it forks from. A branch chain runs fork → own
+// waypoints → merge, so it can be shaped and timed like a simple path.
+export function routeChains(route) {
+  const chains = [{ branch: null, parent: -1, waypoints: route.waypoints }];
+  const own = chain => (chain.branch ? chain.branch.waypoints : chain.waypoints);
+  const pending = [...route.branches];
+  
+  let found = true;
+  while (pending.length > 0 && found) {
+    found = false;
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const branch = pending[i];
+      const parent = chains.findIndex(chain => own(chain).includes(branch.fork));
+      if (parent === -1) continue;
+      
+      chains.push({
+        branch,
+        parent,
+        waypoints: [branch.fork, ...branch.waypoints, ...(branch.merge ? [branch.merge] : [])]
+      });
+      pending.splice(i, 1);
+      found = true;
+    }
+  }
+  
+  return chains;
+}
+
+// Remove a waypoint, along with any branches forking from it (and theirs);
+// branches merging into a removed waypoint become open-ended
+export function removeWaypoint(route, waypoint) {
+  const owner = branchOf(route, waypoint);
+  const list = owner ? owner.waypoints : route.waypoints;
+  const index = list.indexOf(waypoint);
+  if (index === -1) return;
+  list.splice(index, 1);
+  
+  const removed = new Set([waypoint]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    route.branches = route.branches.filter(branch => {
+      if (!removed.has(branch.fork)) return true;
+      branch.waypoints.forEach(w => removed.add(w));
+      changed = true;
+      return false;
+    });
+  }
+  
+  route.branches.forEach(branch => {
+    if (removed.has(branch.merge)) branch.merge = null;
+  });
+}
+
+export function removeBranch(route, branch) {
+  // Dropping the branch's waypoints also drops the branches forking from them
+  [...branch.waypoints].forEach(waypoint => removeWaypoint(route, waypoint));
+  route.branches = route.branches.filter(b => b !== branch);
+}
@@ -0,0 +1,154 @@
+// Playback runtime for Route Plotter v3. Everything drawn for a frame is a
+// function of the playback time alone, and playback advances in fixed frame
+// steps, so preview, scrubbing and export all render identical frames.
+
+export const DEFAULT_FRAME_RATE = 30;
+
+// Real time a single tick may catch up on; longer gaps (dropped frames,
+// background tabs) slow playback down instead of making the head jump
+const MAX_TICK_GAP = 100;
+
+// Beacon timing, measured from the moment the head reaches the waypoint
+export const PULSE_RATE = 0.003; // radians per ms
+export const RIPPLE_INTERVAL = 600; // ms between ripples
+export const RIPPLE_LIFETIME = 800; // ms for a ripple to expand and fade
+
+// Reduced motion: each leg appears whole, fading in over this long (ms) from
+// when the head sets off, and beacons fade in rather than pulse
+export const CROSSFADE_DURATION = 500;
+
+export class FixedStepClock {
+  constructor(frameRate = DEFAULT_FRAME_RATE) {
+    this.setFrameRate(frameRate);
+  }
+  
+  setFrameRate(frameRate) {
+    this.frameRate = frameRate;
+    this.step = 1000 / frameRate;
+    this.reset();
+  }
+  
+  // Forget the previous tick, e.g. when playback starts
+  reset() {
+    this.lastTick = null;
+    this.accumulator = 0;
+  }
+  
+  // Number of whole frames due since the last tick, at `rate`× real time
+  tick(now, rate = 1) {
+    if (this.lastTick === null) {
+      this.lastTick = now;
+      return 0;
+    }
+    
+    this.accumulator += Math.min(now - this.lastTick, MAX_TICK_GAP) * rate;
+    this.lastTick = now;
+    
+    const frames = Math.floor(this.accumulator / this.step);
+    this.accumulator -= frames * this.step;
+    return frames;
+  }
+  
+  // Frame index for `time` and back again; the last frame lands exactly on `duration`
+  frameAt(time) {
+    return Math.round(time / this.step);
+  }
+  
+  frameTime(frame, duration) {
+    return Math.max(0, Math.min(duration, frame * this.step));
+  }
+  
+  frameCount(duration) {
+    return Math.ceil(duration / this.step - 1e-9) + 1;
+  }
+  
+  // Snap `time` to the nearest frame so scrubbing shows the same frames as playback
+  snap(time, duration) {
+    return this.frameTime(this.frameAt(time), duration);
+  }
+}
+
+// Playback modes: 'once', 'loop', 'ping-pong' (draw forward then retract) and
+// 'reverse' (retract from the finished route). Playback time runs from 0 to
+// playbackLength(); routeTimeAt() maps it back onto the route's timeline.
+// Ping-pong turns on a frame boundary so the finished route gets a frame.
+function turnTime(duration, step) {
+  return Math.ceil(duration / step - 1e-9) * step;
+}
+
+export function playbackLength(duration, mode, step) {
+  return mode === 'ping-pong' ? turnTime(duration, step) * 2 : duration;
+}
+
+export function routeTimeAt(time, duration, mode, step) {
+  switch (mode) {
+    case 'reverse':
+      return duration - time;
+    case 'ping-pong': {
+      const turn = turnTime(duration, step);
+      return Math.min(duration, time <= turn ? time : turn * 2 - time);
+    }
+    default:
+      return time;
+  }
+}
+
+// Whether playback at `time` runs the route backwards: all of reverse, and
+// the second half of ping-pong
+export function isRetracting(time, duration, mode, step) {
+  if (mode === 'reverse') return true;
+  return mode === 'ping-pong' && time > turnTime(duration, step);
+}
+
+export function isLooping(mode) {
+  return mode === 'loop' || mode === 'ping-pong';
+}
+
+// Frames in one seamless cycle of `length` ms of playback. Ping-pong ends on
+// the frame it started with, so that frame is only played once.
+export function cycleFrameCount(clock, length, mode) {
+  const count = clock.frameCount(length);
+  return mode === 'ping-pong' ? Math.max(1, count - 1) : count;
+}
+
+// Everything that changes over playback, derived from `time` (ms) alone. With
+// `reducedMotion` the route is revealed a leg at a time: `revealedDistance`
+// stays at the last stop and `fade` describes the leg fading in. With
+// `retracting` the head faces back along the route, the way it is moving.
+export function frameStateAt(time, geometry, timeline, waypoints, { reducedMotion = false, retracting = false } = {}) {
+  if (!geometry) {
+    return { time, revealedDistance: 0, head: null, beacons: [], fade: null };
+  }
+  
+  let revealedDistance = timeline.distanceAt(time);
+  let fade = null;
+  if (reducedMotion) {
+    const phase = timeline.phaseAt(time);
+    if (phase && phase.type === 'move' && time >= phase.startTime && time < phase.startTime + phase.duration) {
+      revealedDistance = phase.startDistance;
+      fade = {
+        endDistance: phase.endDistance,
+        opacity: Math.min(1, (time - phase.startTime) / Math.min(CROSSFADE_DURATION, phase.duration))
+      };
+    }
+  }
+  
+  const beacons = [];
+  waypoints.forEach((waypoint, index) => {
+    if (!waypoint.isMajor) return;
+    
+    const arrival = timeline.arrivalTime(index);
+    if (arrival <= time) {
+      beacons.push({ waypointIndex: index, age: time - arrival });
+    }
+  });
+  
+  const head = geometry.positionAt(revealedDistance);
+  return {
+    time,
+    revealedDistance,
+    head: retracting ? { ...head, angle: head.angle + Math.PI } : head,
+    beacons,
+    fade
+  };
+}
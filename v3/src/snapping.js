@@ -0,0 +1,72 @@
+// Snapping for Route Plotter v3: pulls a waypoint being placed or dragged onto
+// a grid, into line with other waypoints, or onto 45° steps from the waypoint
+// before it. Everything is in drawing pixels.
+
+// The eight directions 45° apart, starting east and turning clockwise (y down)
+const DIRECTIONS = [
+  { x: 1, y: 0 },
+  { x: Math.SQRT1_2, y: Math.SQRT1_2 },
+  { x: 0, y: 1 },
+  { x: -Math.SQRT1_2, y: Math.SQRT1_2 },
+  { x: -1, y: 0 },
+  { x: -Math.SQRT1_2, y: -Math.SQRT1_2 },
+  { x: 0, y: -1 },
+  { x: Math.SQRT1_2, y: -Math.SQRT1_2 }
+];
+
+// `point` moved onto the nearest 45° line out of `anchor`, keeping its
+// distance along that line
+export function snapAngle(point, anchor) {
+  const dx = point.x - anchor.x;
+  const dy = point.y - anchor.y;
+  const step = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+  const direction = DIRECTIONS[(step + 8) % 8];
+  const length = dx * direction.x + dy * direction.y;
+  return { x: anchor.x + direction.x * length, y: anchor.y + direction.y * length };
+}
+
+// Snapped position of `point` plus guide lines ({x1, y1, x2, y2}) showing what
+// it lined up with. Options:
+//   grid      - grid spacing, 0 for no grid
+//   align     - waypoints to line up with horizontally or vertically
+//   threshold - how near a waypoint's x or y must be to line up with it
+//   anchor    - the waypoint before; with `angle` the point snaps to 45° steps
+//               from it, overriding the grid and alignment
+// Otherwise each axis lines up with the nearest waypoint in reach, and falls
+// back to the grid.
+export function snapPoint(point, { grid = 0, align = [], threshold = 8, anchor = null, angle = false } = {}) {
+  if (angle && anchor) {
+    const snapped = snapAngle(point, anchor);
+    return { ...snapped, guides: [{ x1: anchor.x, y1: anchor.y, x2: snapped.x, y2: snapped.y }] };
+  }
+  
+  // Nearest waypoint lining up on `axis`, preferring the closest one along the other
+  const other = { x: 'y', y: 'x' };
+  const lineUp = axis => {
+    let best = null;
+    align.forEach(waypoint => {
+      const offset = Math.abs(waypoint[axis] - point[axis]);
+      const distance = Math.abs(waypoint[other[axis]] - point[other[axis]]);
+      if (offset > threshold) return;
+      if (!best || offset < best.offset || (offset === best.offset && distance < best.distance)) {
+        best = { waypoint, offset, distance };
+      }
+    });
+    return best && best.waypoint;
+  };
+  const toGrid = value => (grid > 0 ? Math.round(value / grid) * grid : value);
+  
+  const alignX = lineUp('x');
+  const alignY = lineUp('y');
+  const x = alignX ? alignX.x : toGrid(point.x);
+  const y = alignY ? alignY.y : toGrid(point.y);
+  
+  const guides = [];
+  if (alignX) {
+    guides.push({ x1: x, y1: alignX.y, x2: x, y2: y });
+  }
+  if (alignY) {
+    guides.push({ x1: alignY.x, y1: y, x2: x, y2: y });
+  }
+  return { x, y, guides };
+}
@@ -0,0 +1,345 @@
+// Line styles for Route Plotter v3. Dotted and dashed lines use the canvas's
+// own dashing; the rest are built as geometry along the path, offset along its
+// normal, so they follow curves:
+//   'solid', 'dotted', 'dashed'
+//   'ants'     - "marching ants": dashes that creep along the way of travel
+//   'squiggle' - a sine wave weaving across the path
+//   'railway'  - two rails with sleepers across them
+//   'double'   - two parallel lines
+//   'chevrons' - open chevrons pointing the way of travel
+//   'arrows'   - a line with arrowheads along it
+//   'tapered'  - narrowing from full width to a point over the segment
+// Sizes scale with the line width. Repeating patterns are measured in distance
+// along the whole route, so they don't crawl while the path is being revealed
+// and carry on across segment boundaries.
+
+const DASHES = {
+  dotted: [2, 6],
+  dashed: [10, 5],
+  ants: [6, 4]
+};
+const ANTS_SPEED = 20; // px/s marching ants move along the path
+const COLOR_STEP = 6; // length (px) of the pieces changing colors and widths are drawn in
+
+// Points every `step` pixels along the polyline `points` (plus its end), each
+// with its distance from the start and the unit normal there
+function resample(points, step) {
+  const samples = [];
+  let distance = 0;
+  let next = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+    
+    while (next <= distance + length) {
+      const t = (next - distance) / length;
+      samples.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, distance: next });
+      next += step;
+    }
+    distance += length;
+  }
+  
+  const last = points[points.length - 1];
+  if (samples.length === 0 || distance - samples[samples.length - 1].distance > 1e-6) {
+    samples.push({ x: last.x, y: last.y, distance });
+  }
+  
+  // Normals from the neighbouring samples, so offset lines bend smoothly at
+  // the polyline's vertices
+  samples.forEach((sample, index) => {
+    const before = samples[Math.max(0, index - 1)];
+    const after = samples[Math.min(samples.length - 1, index + 1)];
+    const length = Math.hypot(after.x - before.x, after.y - before.y);
+    sample.nx = length > 0 ? -(after.y - before.y) / length : 0;
+    sample.ny = length > 0 ? (after.x - before.x) / length : 0;
+  });
+  return samples;
+}
+
+// Positions at every multiple of `spacing` of route distance along `points`,
+// which begin `start` pixels into the route, with the direction of travel
+function marks(points, spacing, start) {
+  const result = [];
+  let distance = 0;
+  let next = Math.ceil(start / spacing) * spacing - start;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+    
+    while (next <= distance + length) {
+      const t = (next - distance) / length;
+      result.push({
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        dx: (b.x - a.x) / length,
+        dy: (b.y - a.y) / length
+      });
+      next += spacing;
+    }
+    distance += length;
+  }
+  return result;
+}
+
+// Trace `samples` shifted along their normals by `offset` pixels, or by
+// offset(sample) when it varies
+function traceOffset(ctx, samples, offset) {
+  samples.forEach((sample, index) => {
+    const shift = typeof offset === 'function' ? offset(sample) : offset;
+    const x = sample.x + sample.nx * shift;
+    const y = sample.y + sample.ny * shift;
+    if (index === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+}
+
+// `points` cut into pieces ({points, start, length}) every `step` pixels, each
+// beginning where the one before ends
+function slicePolyline(points, step) {
+  const pieces = [];
+  let piece = { points: [points[0]], start: 0 };
+  let distance = 0;
+  let next = step;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    
+    while (next < distance + length) {
+      const t = (next - distance) / length;
+      const cut = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      piece.points.push(cut);
+      pieces.push({ ...piece, length: next - piece.start });
+      piece = { points: [cut], start: next };
+      next += step;
+    }
+    piece.points.push(b);
+    distance += length;
+  }
+  
+  if (distance > piece.start) {
+    pieces.push({ ...piece, length: distance - piece.start });
+  }
+  return pieces;
+}
+
+// Fill a line along `points` whose width at route distance d is widthAt(d),
+// starting `start` into the route: a trapezoid for every step plus a disc at
+// every point, all in one path so they merge into a clean outline with round
+// joins however sharp the corners
+function fillOutline(ctx, points, widthAt, start) {
+  let distance = start;
+  const radii = points.map((point, index) => {
+    if (index > 0) {
+      distance += Math.hypot(point.x - points[index - 1].x, point.y - points[index - 1].y);
+    }
+    return widthAt(distance) / 2;
+  });
+  
+  ctx.beginPath();
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+    
+    // Wound the same way as arc(), so the pieces add up under the nonzero rule
+    const nx = -(b.y - a.y) / length;
+    const ny = (b.x - a.x) / length;
+    ctx.moveTo(a.x - nx * radii[i - 1], a.y - ny * radii[i - 1]);
+    ctx.lineTo(b.x - nx * radii[i], b.y - ny * radii[i]);
+    ctx.lineTo(b.x + nx * radii[i], b.y + ny * radii[i]);
+    ctx.lineTo(a.x + nx * radii[i - 1], a.y + ny * radii[i - 1]);
+    ctx.closePath();
+  }
+  points.forEach((point, index) => {
+    ctx.moveTo(point.x + radii[index], point.y);
+    ctx.arc(point.x, point.y, radii[index], 0, Math.PI * 2);
+  });
+  ctx.fill('nonzero');
+}
+
+// Width along a track at each distance, interpolated between the
+// `segmentWidth`s of its `waypoints` (reached at the geometry's waypoint
+// distances), for lines that swell and narrow smoothly
+export function widthAlong(waypoints, geometry) {
+  const stops = waypoints.map((waypoint, index) => ({ distance: geometry.waypointDistance(index), width: waypoint.segmentWidth }));
+  return distance => {
+    const next = stops.findIndex(stop => stop.distance > distance);
+    if (next === 0) return stops[0].width;
+    if (next === -1) return stops[stops.length - 1].width;
+    
+    const from = stops[next - 1];
+    const to = stops[next];
+    return from.width + (to.width - from.width) * (distance - from.distance) / (to.distance - from.distance);
+  };
+}
+
+function tracePolyline(ctx, points) {
+  points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+}
+
+// Stroke `points` (a run of segments' polyline, or the revealed part of it) in
+// `style`. `start` is the route distance at which the run begins, `length` the
+// whole segment's length, which tapers span, and `time` the playback time
+// (ms) animated styles move with. `color` and `width` are a CSS color and
+// pixels, or functions giving them at a route distance when they change along
+// the path; `along` is how far into the taper `points` begin.
+export function strokePath(ctx, points, style, { color, width, start = 0, length = 0, time = 0, along = 0 }) {
+  if (points.length < 2) return;
+  
+  // Solid lines of changing width are filled as an outline
+  if (typeof width === 'function' && (!style || style === 'solid')) {
+    ctx.save();
+    if (typeof color === 'function') {
+      slicePolyline(points, COLOR_STEP).forEach(piece => {
+        ctx.fillStyle = color(start + piece.start + piece.length / 2);
+        fillOutline(ctx, piece.points, width, start + piece.start);
+      });
+    } else {
+      ctx.fillStyle = color;
+      fillOutline(ctx, points, width, start);
+    }
+    ctx.restore();
+    return;
+  }
+  
+  // Otherwise changing colors and widths are drawn as short pieces of one
+  // color and width each; patterns still line up since each piece knows where
+  // it starts
+  if (typeof color === 'function' || typeof width === 'function') {
+    slicePolyline(points, COLOR_STEP).forEach(piece => {
+      const middle = start + piece.start + piece.length / 2;
+      strokePath(ctx, piece.points, style, {
+        color: typeof color === 'function' ? color(middle) : color,
+        width: typeof width === 'function' ? width(middle) : width,
+        start: start + piece.start,
+        length,
+        time,
+        along: along + piece.start
+      });
+    });
+    return;
+  }
+  
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  
+  switch (style) {
+    case 'squiggle': {
+      const amplitude = Math.max(2, width);
+      const wavelength = Math.max(10, width * 5);
+      traceOffset(ctx, resample(points, wavelength / 12),
+        sample => amplitude * Math.sin((start + sample.distance) / wavelength * Math.PI * 2));
+      ctx.lineWidth = Math.max(1, width * 0.6);
+      ctx.stroke();
+      break;
+    }
+    
+    case 'railway': {
+      const gauge = Math.max(4, width * 2);
+      const railWidth = Math.max(1, width / 3);
+      
+      // Sleepers first, so the rails run over them
+      const reach = gauge * 0.75;
+      marks(points, Math.max(6, width * 3), start).forEach(mark => {
+        ctx.moveTo(mark.x + mark.dy * reach, mark.y - mark.dx * reach);
+        ctx.lineTo(mark.x - mark.dy * reach, mark.y + mark.dx * reach);
+      });
+      ctx.lineWidth = Math.max(1, width / 2.5);
+      ctx.lineCap = 'butt';
+      ctx.stroke();
+      
+      const samples = resample(points, 2);
+      ctx.beginPath();
+      traceOffset(ctx, samples, gauge / 2);
+      traceOffset(ctx, samples, -gauge / 2);
+      ctx.lineWidth = railWidth;
+      ctx.stroke();
+      break;
+    }
+    
+    case 'double': {
+      const samples = resample(points, 2);
+      traceOffset(ctx, samples, width * 0.75);
+      traceOffset(ctx, samples, -width * 0.75);
+      ctx.lineWidth = Math.max(1, width / 2.5);
+      ctx.stroke();
+      break;
+    }
+    
+    case 'chevrons': {
+      const size = Math.max(4, width * 2);
+      marks(points, Math.max(12, width * 6), start).forEach(mark => {
+        const backX = mark.x - mark.dx * size / 2;
+        const backY = mark.y - mark.dy * size / 2;
+        ctx.moveTo(backX - mark.dy * size / 2, backY + mark.dx * size / 2);
+        ctx.lineTo(mark.x + mark.dx * size / 2, mark.y + mark.dy * size / 2);
+        ctx.lineTo(backX + mark.dy * size / 2, backY - mark.dx * size / 2);
+      });
+      ctx.lineWidth = Math.max(1, width / 2);
+      ctx.stroke();
+      break;
+    }
+    
+    case 'arrows': {
+      tracePolyline(ctx, points);
+      ctx.stroke();
+      
+      const size = Math.max(5, width * 2.5);
+      ctx.beginPath();
+      marks(points, Math.max(20, width * 10), start).forEach(mark => {
+        ctx.moveTo(mark.x + mark.dx * size, mark.y + mark.dy * size);
+        ctx.lineTo(mark.x - mark.dy * size * 0.6, mark.y + mark.dx * size * 0.6);
+        ctx.lineTo(mark.x + mark.dy * size * 0.6, mark.y - mark.dx * size * 0.6);
+        ctx.closePath();
+      });
+      ctx.fill();
+      break;
+    }
+    
+    case 'tapered': {
+      // Outline with each side at half the width there, filled
+      const samples = resample(points, 2);
+      const halfWidth = sample => width / 2 * Math.max(0, 1 - (along + sample.distance) / (length || 1));
+      traceOffset(ctx, samples, halfWidth);
+      samples.reverse().forEach(sample => {
+        ctx.lineTo(sample.x - sample.nx * halfWidth(sample), sample.y - sample.ny * halfWidth(sample));
+      });
+      ctx.closePath();
+      ctx.fill();
+      break;
+    }
+    
+    case 'dotted':
+    case 'dashed':
+    case 'ants':
+    case 'solid':
+    default:
+      ctx.setLineDash(DASHES[style] || []);
+      ctx.lineDashOffset = style === 'ants' ? start - time / 1000 * ANTS_SPEED : start;
+      tracePolyline(ctx, points);
+      ctx.stroke();
+      break;
+  }
+  
+  ctx.restore();
+}
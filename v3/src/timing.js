@@ -0,0 +1,291 @@
+// Timing for Route Plotter v3: turns the route into a timeline of legs between
+// major waypoints, each made of a move phase and an optional dwell on arrival
+
+import { getEasing } from './easing.js';
+
+// Index of the last phase starting at or before `time` (phases ascending)
+function findPhase(phases, time) {
+  let low = 0;
+  let high = phases.length - 1;
+  
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (phases[mid].startTime <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return low;
+}
+
+// Timing modes:
+//   'constant-speed'    - every leg moves at `speed` px/s
+//   'constant-time'     - the whole route takes `duration` ms at a uniform speed
+//   'constant-leg-time' - every major→major leg takes `legDuration` ms
+// A major waypoint can override the leg leading into it with `legDuration`
+// (seconds) or `legSpeed` (px/s), and hold for `dwell` seconds on arrival.
+// Each move is eased by the target's `easing`, falling back to `easing` in the
+// settings; see easing.js for the accepted names.
+//
+// Pause modes, applied at the major waypoints between the route ends:
+//   'continuous' - only per-waypoint dwells
+//   'timed'      - hold for `pauseDuration` ms unless the waypoint has its own dwell
+//   'click'      - a 'hold' phase where live playback waits for the presenter;
+//                  it lasts `holdDuration` ms on the timeline, which is what
+//                  scrubbing and export use
+export class Timeline {
+  constructor(phases) {
+    this.phases = phases;
+    const last = phases[phases.length - 1];
+    this.duration = last ? last.startTime + last.duration : 0;
+    
+    // When the head first reaches each leg boundary
+    this.arrivals = new Map();
+    if (phases.length > 0) {
+      this.arrivals.set(phases[0].fromIndex ?? phases[0].waypointIndex, 0);
+    }
+    phases.forEach(phase => {
+      if (phase.type === 'move') {
+        this.arrivals.set(phase.toIndex, phase.startTime + phase.duration);
+      }
+    });
+  }
+  
+  static fromPath(geometry, waypoints, settings = {}) {
+    if (!geometry || waypoints.length < 2) return new Timeline([]);
+    
+    const {
+      mode = 'constant-speed',
+      speed = 200,
+      duration = 5000,
+      legDuration = 2000,
+      easing = 'linear',
+      pauseMode = 'continuous',
+      pauseDuration = 2000,
+      holdDuration = 2000
+    } = settings;
+    
+    // Leg boundaries: the route ends plus every major waypoint in between
+    const stops = waypoints
+      .map((waypoint, index) => index)
+      .filter(index => index === 0 || index === waypoints.length - 1 || waypoints[index].isMajor);
+    
+    const defaultSpeed = mode === 'constant-time' && duration > 0
+      ? geometry.totalLength / (duration / 1000)
+      : speed;
+    
+    const phases = [];
+    let time = 0;
+    
+    const addDwell = (index) => {
+      const waypoint = waypoints[index];
+      const isBetween = index !== stops[0] && index !== stops[stops.length - 1];
+      const distance = geometry.waypointDistance(index);
+      
+      if (pauseMode === 'click' && isBetween) {
+        phases.push({
+          type: 'hold',
+          startTime: time,
+          duration: holdDuration,
+          startDistance: distance,
+          endDistance: distance,
+          waypointIndex: index
+        });
+        time += holdDuration;
+        return;
+      }
+      
+      let dwell = waypoint.isMajor && waypoint.dwell > 0 ? waypoint.dwell * 1000 : 0;
+      if (pauseMode === 'timed' && isBetween && dwell === 0) {
+        dwell = pauseDuration;
+      }
+      if (dwell > 0) {
+        phases.push({
+          type: 'dwell',
+          startTime: time,
+          duration: dwell,
+          startDistance: distance,
+          endDistance: distance,
+          waypointIndex: index
+        });
+        time += dwell;
+      }
+    };
+    
+    addDwell(stops[0]);
+    
+    for (let i = 1; i < stops.length; i++) {
+      const from = stops[i - 1];
+      const to = stops[i];
+      const target = waypoints[to];
+      const startDistance = geometry.waypointDistance(from);
+      const endDistance = geometry.waypointDistance(to);
+      const length = endDistance - startDistance;
+      
+      let legTime;
+      if (target.isMajor && target.legDuration > 0) {
+        legTime = target.legDuration * 1000;
+      } else if (target.isMajor && target.legSpeed > 0) {
+        legTime = (length / target.legSpeed) * 1000;
+      } else if (mode === 'constant-leg-time') {
+        legTime = legDuration;
+      } else {
+        legTime = defaultSpeed > 0 ? (length / defaultSpeed) * 1000 : 0;
+      }
+      
+      phases.push({
+        type: 'move',
+        startTime: time,
+        duration: legTime,
+        startDistance,
+        endDistance,
+        fromIndex: from,
+        toIndex: to,
+        easing: (target.isMajor && target.easing) || easing
+      });
+      time += legTime;
+      
+      addDwell(to);
+    }
+    
+    return new Timeline(phases);
+  }
+  
+  phaseAt(time) {
+    if (this.phases.length === 0) return null;
+    return this.phases[findPhase(this.phases, Math.max(0, Math.min(this.duration, time)))];
+  }
+  
+  // Time (ms) the head reaches the waypoint at `index`; Infinity for waypoints
+  // that aren't leg boundaries (minor waypoints)
+  arrivalTime(index) {
+    return this.arrivals.get(index) ?? Infinity;
+  }
+  
+  // Time (ms) the head sets off again from the stop at `index`, after any
+  // dwell or hold there; the end of the timeline for the last stop
+  departureTime(index) {
+    const move = this.phases.find(phase => phase.type === 'move' && phase.fromIndex === index);
+    if (move) return move.startTime;
+    return this.arrivals.has(index) ? this.duration : Infinity;
+  }
+  
+  // First click-to-continue hold reached after `from` and by `to` (ms), if any
+  holdBetween(from, to) {
+    return this.phases.find(phase => phase.type === 'hold' && phase.startTime > from && phase.startTime <= to) || null;
+  }
+  
+  // Distance along the route reached at `time` ms
+  distanceAt(time) {
+    const phase = this.phaseAt(time);
+    if (!phase) return 0;
+    
+    let local = phase.duration > 0
+      ? Math.max(0, Math.min(1, (time - phase.startTime) / phase.duration))
+      : 1;
+    if (phase.type === 'move') {
+      local = getEasing(phase.easing)(local);
+    }
+    return phase.startDistance + (phase.endDistance - phase.startDistance) * local;
+  }
+}
+
+// Timeline of a branching route: one track per waypoint chain, each with its
+// own Timeline and a start time (ms) on the route's clock. Branch tracks start
+// when their parent track leaves the fork, so branches play in parallel.
+export class BranchingTimeline {
+  constructor(tracks) {
+    this.tracks = tracks;
+    this.duration = tracks.reduce((end, track) => Math.max(end, track.start + track.timeline.duration), 0);
+  }
+  
+  // First click-to-continue hold on any track reached after `from` and by `to`
+  holdBetween(from, to) {
+    let first = null;
+    this.tracks.forEach(track => {
+      const phase = track.timeline.holdBetween(from - track.start, to - track.start);
+      if (phase && (!first || track.start + phase.startTime < first.startTime)) {
+        first = this.routeHold(track, phase);
+      }
+    });
+    return first;
+  }
+  
+  // Hold in progress at `time`, if any
+  holdAt(time) {
+    for (const track of this.tracks) {
+      const local = time - track.start;
+      const phase = track.timeline.phaseAt(local);
+      if (phase && phase.type === 'hold' && local >= phase.startTime && local < phase.startTime + phase.duration) {
+        return this.routeHold(track, phase);
+      }
+    }
+    return null;
+  }
+  
+  routeHold(track, phase) {
+    return {
+      waypoint: track.waypoints[phase.waypointIndex],
+      startTime: track.start + phase.startTime,
+      duration: phase.duration
+    };
+  }
+}
+
+// Plays several routes' (branching) timelines on one project clock. Arrangements:
+//   'simultaneous' - every route starts at 0
+//   'sequential'   - each route starts when the one before it finishes
+//   'staggered'    - each route starts at its own offset (ms)
+export class RouteSchedule {
+  constructor(timelines, arrangement = 'simultaneous', offsets = []) {
+    this.timelines = timelines;
+    this.starts = [];
+    
+    let next = 0;
+    timelines.forEach((timeline, index) => {
+      let start = 0;
+      if (arrangement === 'sequential') {
+        start = next;
+      } else if (arrangement === 'staggered') {
+        start = Math.max(0, offsets[index] || 0);
+      }
+      this.starts.push(start);
+      next = start + timeline.duration;
+    });
+    
+    this.duration = timelines.reduce((end, timeline, index) => Math.max(end, this.starts[index] + timeline.duration), 0);
+  }
+  
+  // Time on route `index`'s own timeline at project time `time`; negative
+  // before the route starts, so nothing of it is revealed yet
+  localTime(index, time) {
+    return time - this.starts[index];
+  }
+  
+  // First click-to-continue hold on any route reached after `from` and by
+  // `to` (project ms), with its start in project time
+  holdBetween(from, to) {
+    let first = null;
+    this.timelines.forEach((timeline, index) => {
+      const start = this.starts[index];
+      const hold = timeline.holdBetween(from - start, to - start);
+      if (hold && (!first || start + hold.startTime < first.startTime)) {
+        first = { ...hold, routeIndex: index, startTime: start + hold.startTime };
+      }
+    });
+    return first;
+  }
+  
+  // Hold in progress at project time `time`, if any
+  holdAt(time) {
+    for (let index = 0; index < this.timelines.length; index++) {
+      const hold = this.timelines[index].holdAt(this.localTime(index, time));
+      if (hold) {
+        return { ...hold, routeIndex: index, startTime: this.starts[index] + hold.startTime };
+      }
+    }
+    return null;
+  }
+}